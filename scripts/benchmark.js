@@ -0,0 +1,181 @@
+/**
+ * Benchmarks every model in constants.MODELPATHS on QuickDraw drawings, offline and without a browser.
+ * Drawings are rasterized the way SketchCanvas draws them and go through the same preprocessing and
+ * pipeline as in the workers, so the numbers can be compared with the Elo ratings from the game.
+ *
+ * Usage: npm run benchmark -- <file.ndjson>... [--limit 100] [--scale 2] [--models path,path] [--out results.json]
+ *   --limit   drawings to read from each file
+ *   --scale   canvas pixels per QuickDraw unit (simplified drawings are 256 units wide)
+ *   --models  comma separated model paths, all of MODELPATHS by default
+ *   --out     where to write the results, stdout by default
+ *
+ * Models are read from public/models when downloaded with `npm run models:download`, otherwise from the hub.
+ */
+import { createReadStream } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { pipeline, env } from '@xenova/transformers';
+import constants from '../src/constants.js';
+import { getPreprocessingSpec, preprocessSketch } from '../src/preprocessing.js';
+import { rasterizeStrokes } from '../src/rasterize.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+env.localModelPath = path.join(ROOT, 'public', constants.LOCAL_MODEL_PATH);
+env.allowRemoteModels = constants.ALLOW_REMOTE_MODELS;
+
+/**
+ * Reads the first drawings of a QuickDraw .ndjson file.
+ * @param {string} file - Path of the file.
+ * @param {number} limit - How many drawings to read.
+ * @returns {Promise<Array>} - The drawings ({ word, drawing }).
+ */
+const readDrawings = async (file, limit) => {
+  const drawings = [];
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const { word, drawing } = JSON.parse(line);
+    drawings.push({ word, drawing });
+    if (drawings.length >= limit) break;
+  }
+  lines.close();
+  return drawings;
+};
+
+/**
+ * Summarizes latency samples.
+ * @param {number[]} samples - Latencies in milliseconds.
+ * @returns {Object} - { mean, p50, p95 } in milliseconds.
+ */
+const summarizeLatency = (samples) => {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    mean: sorted.reduce((acc, sample) => acc + sample, 0) / sorted.length,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+  };
+};
+
+/**
+ * Classifies every sketch with a model, the way the worker does.
+ * @param {string} modelPath - The model to benchmark.
+ * @param {Array} sketches - The rasterized drawings ({ word, image }).
+ * @returns {Promise<Object>} - Accuracy and latency of the model.
+ */
+const benchmarkModel = async (modelPath, sketches) => {
+  const classifier = await pipeline('image-classification', modelPath, { quantized: constants.DEFAULT_QUANTIZED });
+  const spec = getPreprocessingSpec(modelPath);
+  const preprocessTimes = [];
+  const inferenceTimes = [];
+  const perLabel = {};
+  let top1 = 0;
+  let top5 = 0;
+
+  for (const { word, image } of sketches) {
+    const preprocessStart = performance.now();
+    const input = await preprocessSketch(image, spec);
+    const inferenceStart = performance.now();
+    const output = await classifier(input, { topk: 0 });
+    const inferenceEnd = performance.now();
+    preprocessTimes.push(inferenceStart - preprocessStart);
+    inferenceTimes.push(inferenceEnd - inferenceStart);
+
+    // banned labels are never shown in the game (filterAndAdjustScores)
+    const labels = output.map((x) => x.label).filter((label) => !constants.BANNED_LABELS.includes(label));
+    const rank = labels.indexOf(word);
+    const label = perLabel[word] ?? (perLabel[word] = { count: 0, top1: 0, top5: 0 });
+    label.count += 1;
+    if (rank === 0) {
+      top1 += 1;
+      label.top1 += 1;
+    }
+    if (rank !== -1 && rank < 5) {
+      top5 += 1;
+      label.top5 += 1;
+    }
+  }
+
+  await classifier.dispose();
+
+  return {
+    name: constants.MODELNAMEMAP[modelPath] ?? modelPath,
+    params: constants.MODELPARAMS[modelPath] ?? null,
+    top1: top1 / sketches.length,
+    top5: top5 / sketches.length,
+    perLabel: Object.fromEntries(Object.entries(perLabel).map(([word, label]) => [word, {
+      count: label.count,
+      top1: label.top1 / label.count,
+      top5: label.top5 / label.count,
+    }])),
+    latency: {
+      preprocess: summarizeLatency(preprocessTimes),
+      inference: summarizeLatency(inferenceTimes),
+    },
+  };
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      limit: { type: 'string', default: '100' },
+      scale: { type: 'string', default: '2' },
+      models: { type: 'string' },
+      out: { type: 'string' },
+    },
+  });
+  if (positionals.length === 0) {
+    throw new Error('Pass at least one QuickDraw .ndjson file');
+  }
+
+  const limit = parseInt(values.limit, 10);
+  const scale = parseFloat(values.scale);
+  const modelPaths = values.models ? values.models.split(',') : constants.MODELPATHS;
+
+  const sketches = [];
+  for (const file of positionals) {
+    for (const { word, drawing } of await readDrawings(file, limit)) {
+      const image = rasterizeStrokes(drawing, { scale });
+      if (image) {
+        sketches.push({ word, image });
+      }
+    }
+  }
+  console.error(`benchmarking ${modelPaths.length} models on ${sketches.length} drawings`);
+
+  const models = {};
+  for (const modelPath of modelPaths) {
+    console.error(`running ${modelPath}`);
+    models[modelPath] = await benchmarkModel(modelPath, sketches);
+  }
+
+  const results = {
+    settings: {
+      files: positionals.map((file) => path.basename(file)),
+      limit,
+      scale,
+      brushSize: constants.BRUSH_SIZE,
+      quantized: constants.DEFAULT_QUANTIZED,
+    },
+    drawings: sketches.length,
+    models,
+  };
+
+  const json = JSON.stringify(results, null, 2);
+  if (values.out) {
+    await writeFile(values.out, json);
+    console.error(`wrote ${values.out}`);
+  } else {
+    console.log(json);
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
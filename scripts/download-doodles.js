@@ -0,0 +1,67 @@
+/**
+ * Downloads a few QuickDraw doodles of every playable label into public/doodles for guess-the-doodle mode.
+ * Only the start of each (simplified) dataset file is fetched, and only doodles the QuickDraw game recognized
+ * are kept. public/doodles/index.json lists the labels that have doodles.
+ *
+ * Usage: npm run doodles:download
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import constants from '../src/constants.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DOODLE_DIR = path.join(ROOT, 'public', constants.DOODLE_PATH);
+const DATASET_URL = 'https://storage.googleapis.com/quickdraw_dataset/full/simplified';
+const BYTES_PER_LABEL = 256 * 1024; // plenty for DOODLES_PER_LABEL recognized doodles
+
+/**
+ * Downloads the doodles of a single label.
+ * @param {string} label - The label.
+ * @returns {Promise<number>} - How many doodles were saved.
+ */
+const downloadDoodles = async (label) => {
+  const response = await fetch(`${DATASET_URL}/${encodeURIComponent(label)}.ndjson`, {
+    headers: { Range: `bytes=0-${BYTES_PER_LABEL - 1}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to download the doodles of ${label}: ${response.status} ${response.statusText}`);
+  }
+
+  // the last line is cut off by the range request
+  const lines = (await response.text()).split('\n').slice(0, -1);
+  const doodles = lines
+    .map((line) => JSON.parse(line))
+    .filter((doodle) => doodle.recognized)
+    .slice(0, constants.DOODLES_PER_LABEL)
+    .map((doodle) => JSON.stringify({ drawing: doodle.drawing }));
+
+  await writeFile(path.join(DOODLE_DIR, `${label}.ndjson`), doodles.join('\n'));
+  return doodles.length;
+};
+
+const main = async () => {
+  await mkdir(DOODLE_DIR, { recursive: true });
+  const labels = Object.values(constants.LABELS).filter((label) => !constants.BANNED_LABELS.includes(label));
+
+  const downloaded = [];
+  for (const label of labels) {
+    try {
+      const count = await downloadDoodles(label);
+      if (count > 0) {
+        downloaded.push(label);
+      }
+      console.log(`downloaded ${count} doodles of ${label}`);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  }
+
+  await writeFile(path.join(DOODLE_DIR, 'index.json'), JSON.stringify(downloaded));
+  console.log(`${downloaded.length} of ${labels.length} labels have doodles`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
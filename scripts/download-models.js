@@ -0,0 +1,76 @@
+/**
+ * Downloads every model in constants.MODELPATHS from the Hugging Face hub into public/models,
+ * and copies the onnxruntime-web binaries into public/wasm, so the game can run fully offline
+ * with VITE_MODEL_SOURCE=local.
+ *
+ * Usage: npm run models:download
+ */
+import { mkdir, writeFile, copyFile, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import constants from '../src/constants.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const HUB_URL = 'https://huggingface.co';
+const WASM_SOURCE_DIR = path.join(ROOT, 'node_modules', 'onnxruntime-web', 'dist');
+
+// files transformers.js needs to build an image classification pipeline
+const MODEL_FILES = [
+  'config.json',
+  'preprocessor_config.json',
+  constants.DEFAULT_QUANTIZED ? 'onnx/model_quantized.onnx' : 'onnx/model.onnx',
+];
+
+/**
+ * Downloads a single file of a model, skipping it if it already exists.
+ * @param {string} modelPath - The hub id of the model.
+ * @param {string} file - The file to download, relative to the model root.
+ */
+const downloadFile = async (modelPath, file) => {
+  const destination = path.join(PUBLIC_DIR, constants.LOCAL_MODEL_PATH, modelPath, file);
+  if (existsSync(destination)) {
+    console.log(`skipping ${modelPath}/${file} (already downloaded)`);
+    return;
+  }
+
+  const response = await fetch(`${HUB_URL}/${modelPath}/resolve/main/${file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${modelPath}/${file}: ${response.status} ${response.statusText}`);
+  }
+
+  await mkdir(path.dirname(destination), { recursive: true });
+  await writeFile(destination, Buffer.from(await response.arrayBuffer()));
+  console.log(`downloaded ${modelPath}/${file}`);
+};
+
+/**
+ * Copies the onnxruntime-web wasm binaries so they don't have to be fetched from a CDN.
+ */
+const copyWasmFiles = async () => {
+  if (!existsSync(WASM_SOURCE_DIR)) {
+    console.warn(`onnxruntime-web not found in ${WASM_SOURCE_DIR}, run npm install first`);
+    return;
+  }
+
+  const destination = path.join(PUBLIC_DIR, constants.LOCAL_WASM_PATH);
+  await mkdir(destination, { recursive: true });
+  const files = (await readdir(WASM_SOURCE_DIR)).filter((file) => file.endsWith('.wasm'));
+  await Promise.all(files.map((file) => copyFile(path.join(WASM_SOURCE_DIR, file), path.join(destination, file))));
+  console.log(`copied ${files.length} wasm files`);
+};
+
+const main = async () => {
+  for (const modelPath of constants.MODELPATHS) {
+    for (const file of MODEL_FILES) {
+      await downloadFile(modelPath, file);
+    }
+  }
+  await copyWasmFiles();
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
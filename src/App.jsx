@@ -1,39 +1,42 @@
-import React, { useCallback, useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 import SketchCanvas from './components/SketchCanvas';
 import constants from './constants';
 import Menu from './components/Menu';
 import GameOver from './components/GameOver';
 import Countdown from './components/Countdown';
+import Pause from './components/Pause';
 import { AnimatePresence } from 'framer-motion';
 import PredictionChart from './components/PredictionChart';
 import Leaderboard from './components/Leaderboard';
-import { formatTime, shuffleArray, filterAndAdjustScores, createWorkers, startCountdown, startGame, endGame, goToNextWord, checkGameOver, checkWordGuessed, gameLoop, updateTableData } from './GameLogic';
-import { fetchLeaderboardData, updateLeaderboardData } from './dbLogic';
-import { mobileTabletCheck } from './utils';
+import { formatTime, pickTargets, filterAndAdjustScores, pickRandomModels, pickReplacementModel, createWorkers, updateLoadingProgress, startCountdown, recordMatch, gameLoop, getModelRatings, createDailyChallenge, getDailyChallengeDate } from './GameLogic';
+import GameSession from './GameSession';
+import { isReverseMode } from './gameModes';
+import { fetchDoodle, fetchDoodleLabels } from './doodles';
+import { fetchLeaderboardData, fetchDailyResults, insertDailyResult } from './dbLogic';
+import { getContenderName, isCustomContender, registerCustomModel } from './contenders';
+import { readDroppedModel } from './customModels';
+import { reliabilityCurve } from './calibrationStats';
+import { mobileTabletCheck, omitKey } from './utils';
 
 
 function App() {
   // state variables
   const [ready, setReady] = useState(false);
-  const [worker1Ready, setWorker1Ready] = useState(false);
-  const [worker2Ready, setWorker2Ready] = useState(false);
+  const [workersReady, setWorkersReady] = useState({});
+  const [loadingProgress, setLoadingProgress] = useState({});
+  const [loadError, setLoadError] = useState(null);
   const [gameState, setGameState] = useState('menu');
   const [countdown, setCountdown] = useState(constants.COUNTDOWN_TIMER);
-  const [gameCurrentTime, setGameCurrentTime] = useState(null);
-  const [gameStartTime, setGameStartTime] = useState(null);
-  const [output1, setOutput1] = useState(null);
-  const [isPredicting1, setIsPredicting1] = useState(false);
-  const [output2, setOutput2] = useState(null);
-  const [isPredicting2, setIsPredicting2] = useState(false);
-  const [sketchHasChanged, setSketchHasChanged] = useState(false);
-  const [targets, setTargets] = useState(null);
-  const [targetIndex, setTargetIndex] = useState(0);
-  const [predictions, setPredictions] = useState([]);
-  const [graphOutput1, setGraphOutput1] = useState(null);
-  const [graphOutput2, setGraphOutput2] = useState(null);
-  const [graphUpdateCount1, setGraphUpdateCount1] = useState(0);
-  const [graphUpdateCount2, setGraphUpdateCount2] = useState(0);
+  const [game, setGame] = useState(null); // snapshot of the current GameSession
+  const [isPredicting, setIsPredicting] = useState({});
+  const [sketchHasChanged, setSketchHasChanged] = useState({});
+  const [schedulingMode, setSchedulingMode] = useState(constants.DEFAULT_SCHEDULING_MODE);
+  const [gameMode, setGameMode] = useState(constants.GAME_MODES[0]);
+  const [wordFilter, setWordFilter] = useState({ categories: [], difficulties: [] });
+  const [assistPolicy, setAssistPolicy] = useState(constants.ASSIST_POLICIES[0]);
+  const [graphOutputs, setGraphOutputs] = useState({});
+  const [graphUpdateCounts, setGraphUpdateCounts] = useState({});
   const [isLeaderboardVisible, setIsLeaderboardVisible] = useState(false);
   const [modelColumn, setModelColumn] = useState([]);
   const [eloColumn, setEloColumn] = useState([]);
@@ -41,13 +44,30 @@ function App() {
   const [paramsColumn, setParamsColumn] = useState([]);
   const [correctGuessesColumn, setCorrectGuessesColumn] = useState([]);
   const [LeaderboardData, setLeaderboardData] = useState([]);
+  const [dailyChallenge, setDailyChallenge] = useState(null); // { date, models, targets } while playing the daily challenge
+  const [dailyResults, setDailyResults] = useState(null);
+  const [guessInput, setGuessInput] = useState('');
+  const [wrongGuess, setWrongGuess] = useState(null); // the player's last wrong guess in guess-the-doodle mode
 
   const selectedModelsRef = useRef([]);
-  const worker1 = useRef(null);
-  const worker2 = useRef(null);
+  const workerPool = useRef(null);
+  const loadAttemptsRef = useRef({});
+  const failedModelsRef = useRef([]);
+  const requestIdRef = useRef(0);
+  const sessionRef = useRef(null);
+  const dailyChallengeRef = useRef(null);
+  const leaderboardDataRef = useRef([]);
+  const explanationRoundRef = useRef(0);
   const canvasRef = useRef(null);
+  const doodleLabelsRef = useRef([]); // labels that have doodles for guess-the-doodle mode
+  const doodleRef = useRef(null); // { session, targetIndex, strokes, count } of the doodle being drawn
+  const countdownCleanupRef = useRef(null);
+  const beginCountdownRef = useRef(null); // the latest beginCountdown, which reads the current settings
   const isMobile = mobileTabletCheck();
 
+  const outputs = useMemo(() => game?.outputs ?? {}, [game]);
+  const predictions = game?.predictions ?? [];
+
   useEffect(() => {
     // fetch leaderboard data on component mount
     const fetchData = async () => {
@@ -80,206 +100,394 @@ function App() {
     }
   }, [LeaderboardData]);
 
-  const initialModelStats = {
-    correctGuessesModel1: 0,
-    correctGuessesModel2: 0,
-    lastPredictionTimeModel1: 0,
-    lastPredictionTimeModel2: 0,
-    avgPredictionTimeModel1: 0,
-    avgPredictionTimeModel2: 0,
+  // swap a contender for another one before the game starts
+  const replaceContender = (modelName, replacement) => {
+    selectedModelsRef.current = selectedModelsRef.current.map((m) => (m === modelName ? replacement : m));
+    setWorkersReady((prev) => omitKey(prev, modelName));
+    setLoadingProgress((prev) => omitKey(prev, modelName));
+    workerPool.current.replace(modelName, replacement);
   };
-  const [modelStats, setModelStats] = useState(initialModelStats);
 
   useEffect(() => {
-    // select two random models from the modelPaths array
-    const randomIndex1 = Math.floor(Math.random() * constants.MODELPATHS.length);
-    let randomIndex2 = Math.floor(Math.random() * constants.MODELPATHS.length);
-  
-    // ensure that the second index is different from the first index
-    while (randomIndex2 === randomIndex1) {
-      randomIndex2 = Math.floor(Math.random() * constants.MODELPATHS.length);
-    }
-  
-    const [model1, model2] = [constants.MODELPATHS[randomIndex1], constants.MODELPATHS[randomIndex2]];
-    selectedModelsRef.current = [model1, model2];
-  }, []);
+    // select random models from the modelPaths array and create a worker for each of them
+    const selectedModels = pickRandomModels(constants.NUM_CONTENDERS);
+    selectedModelsRef.current = selectedModels;
+    workerPool.current = createWorkers(selectedModels);
+
+    // retry a model that failed to load, then swap in a different contender
+    const handleLoadError = (modelName, message) => {
+      console.error(`Error loading ${modelName}:`, message);
+      const modelDisplayName = getContenderName(modelName);
+      const attempts = (loadAttemptsRef.current[modelName] ?? 0) + 1;
+      loadAttemptsRef.current[modelName] = attempts;
+
+      if (attempts <= constants.MAX_LOAD_RETRIES) {
+        setLoadError(`${modelDisplayName} failed to load, retrying...`);
+        workerPool.current.load([modelName]);
+        return;
+      }
 
-  useEffect(() => {
-    // create worker instances
-    const { worker1: createdWorker1, worker2: createdWorker2 } = createWorkers(selectedModelsRef.current[0], selectedModelsRef.current[1]);
-    worker1.current = createdWorker1;
-    worker2.current = createdWorker2;
+      // the daily challenge is played with the models of the day or not at all, so the scores stay comparable
+      if (dailyChallengeRef.current) {
+        setLoadError(`${modelDisplayName} could not be loaded, so the daily challenge can't be played right now.`);
+        setGameState('menu');
+        return;
+      }
 
-    // message handler for worker 1
-    const onMessageReceived1 = (e) => {
-      const result = e.data;
+      failedModelsRef.current.push(modelName);
+      const replacement = pickReplacementModel(selectedModelsRef.current, failedModelsRef.current);
+      if (replacement === null) {
+        setLoadError('None of the models could be loaded. Check your connection and try again.');
+        setGameState('menu');
+        return;
+      }
 
+      setLoadError(`${modelDisplayName} failed to load, switching to ${getContenderName(replacement)}...`);
+      replaceContender(modelName, replacement);
+      workerPool.current.load([replacement]);
+    };
+
+    // a model that crashes mid-game lets the others play on, but the match is no longer ranked
+    const handleInferenceError = (modelName, message) => {
+      console.error(`Error classifying with ${modelName}:`, message);
+      setIsPredicting((prev) => ({ ...prev, [modelName]: false }));
+      sessionRef.current?.handleCrash(modelName, message, performance.now());
+    };
+
+    // message handler for every worker in the pool
+    const onMessageReceived = (modelName, result) => {
       switch (result.status) {
         case 'ready':
-          setWorker1Ready(true);
+          setWorkersReady((prev) => ({ ...prev, [modelName]: true }));
           break;
 
         case 'update':
-          // not used in this code, but can be used for real-time updates from worker1
+          // not used in this code, but can be used for real-time updates from the workers
           break;
 
-        case 'result':
-          setIsPredicting1(false);
-          const filteredResult1 = filterAndAdjustScores(result.data, canvasRef.current.getTimeSpentDrawing());
-          setOutput1(filteredResult1);
-          setGraphUpdateCount1((prevCount) => prevCount + 1);
+        case 'progress':
+          setLoadingProgress((prev) => updateLoadingProgress(prev, modelName, result.data));
           break;
-      }
-    };
-
-    // message handler for worker 2
-    const onMessageReceived2 = (e) => {
-      const result = e.data;
 
-      switch (result.status) {
-        case 'ready':
-          setWorker2Ready(true);
+        case 'result':
+          setIsPredicting((prev) => ({ ...prev, [modelName]: false }));
+          // the session drops results for a sketch that has since been cleared or replaced by the next word
+          if (sessionRef.current?.handleResult(modelName, result, performance.now())) {
+            setGraphUpdateCounts((prev) => ({ ...prev, [modelName]: (prev[modelName] ?? 0) + 1 }));
+          }
           break;
 
-        case 'update':
-          // not used in this code, but can be used for real-time updates from worker2
+        case 'explanation':
+          // saliency maps requested for an earlier game over screen are of no use anymore
+          if (result.request.round !== explanationRoundRef.current) {
+            break;
+          }
+          sessionRef.current?.addExplanation(result.request.index, modelName, result.data);
           break;
 
-        case 'result':
-          setIsPredicting2(false);
-          const filteredResult2 = filterAndAdjustScores(result.data, canvasRef.current.getTimeSpentDrawing());
-          setOutput2(filteredResult2);
-          setGraphUpdateCount2((prevCount) => prevCount + 1);
+        case 'error':
+          if (result.action === 'explain') {
+            console.error(`Error explaining the guess of ${modelName}:`, result.data);
+          } else if (result.action === 'classify') {
+            handleInferenceError(modelName, result.data);
+          } else if (result.action === 'worker' && ['ready', 'playing', 'paused'].includes(sessionRef.current?.state)) {
+            // once a game is underway its contenders are fixed, a worker dying is a crash rather than a failed load
+            handleInferenceError(modelName, result.data);
+          } else {
+            handleLoadError(modelName, result.data);
+          }
           break;
       }
     };
 
-    // add message event listeners to workers
-    worker1.current.addEventListener('message', onMessageReceived1);
-    worker2.current.addEventListener('message', onMessageReceived2);
+    const unsubscribe = workerPool.current.subscribe(onMessageReceived);
 
-    // cleanup function to remove event listeners when component unmounts
+    // cleanup function to stop the workers when component unmounts
     return () => {
-      worker1.current.removeEventListener('message', onMessageReceived1);
-      worker2.current.removeEventListener('message', onMessageReceived2);
+      unsubscribe();
+      workerPool.current.terminate();
     };
   }, []);
 
   useEffect(() => {
-    if (worker1Ready && worker2Ready) {
-      setReady(true);
-      beginCountdown(); // Start the countdown when both workers are ready
+    // explain every guess on the game over screen; leaving it drops the explanations still in flight
+    explanationRoundRef.current += 1;
+    if (gameState !== 'end' || !workerPool.current) {
+      return;
     }
-  }, [worker1Ready, worker2Ready]);
-  
+    // read from the session, the snapshot changes with every explanation that comes back
+    const round = explanationRoundRef.current;
+    (sessionRef.current?.predictions ?? []).forEach((p, index) => {
+      if (!p.image) return;
+      // the map explains what the model itself predicted, not the label the game made of it
+      p.contenders
+        .filter((c) => c.modelOutput)
+        .forEach((c) => workerPool.current.explain(c.modelName, p.image, c.modelOutput.label, { round, index }));
+    });
+  }, [gameState]);
 
-  // update graph outputs every 10 changes or 2 seconds
   useEffect(() => {
-    const timer = setTimeout(() => {
-      setGraphOutput1(output1);
-    }, 200);
+    fetchDoodleLabels().then((labels) => {
+      doodleLabelsRef.current = labels;
+    });
+  }, []);
 
-    if (graphUpdateCount1 % 10 === 0) {
-      setGraphOutput1(output1);
-      clearTimeout(timer);
+  useEffect(() => {
+    // a match ends long after the session was created, it has to be recorded against the latest leaderboard
+    leaderboardDataRef.current = LeaderboardData;
+  }, [LeaderboardData]);
+
+  useEffect(() => {
+    // ensembles weighted by Elo use the latest ratings of their members
+    if (workerPool.current) {
+      workerPool.current.setRatings(getModelRatings(LeaderboardData));
     }
+  }, [LeaderboardData]);
 
-    return () => {
-      clearTimeout(timer);
-    };
-  }, [graphUpdateCount1, output1]);
+  useEffect(() => {
+    const selectedModels = selectedModelsRef.current;
+    if (selectedModels.length > 0 && selectedModels.every((modelName) => workersReady[modelName])) {
+      setReady(true);
+      setLoadError(null);
+      beginCountdownRef.current(); // Start the countdown when all workers are ready
+    }
+  }, [workersReady]);
+  
 
+  // update graph outputs every 10 changes or 2 seconds
   useEffect(() => {
     const timer = setTimeout(() => {
-      setGraphOutput2(output2);
+      setGraphOutputs(outputs);
     }, 200);
 
-    if (graphUpdateCount2 % 10 === 0) {
-      setGraphOutput2(output2);
-      clearTimeout(timer);
+    const dueModels = Object.keys(graphUpdateCounts).filter((modelName) => graphUpdateCounts[modelName] % 10 === 0);
+    if (dueModels.length > 0) {
+      setGraphOutputs((prev) => {
+        const next = { ...prev };
+        dueModels.forEach((modelName) => {
+          next[modelName] = outputs[modelName];
+        });
+        return next;
+      });
     }
 
     return () => {
       clearTimeout(timer);
     };
-  }, [graphUpdateCount2, output2]);
+  }, [graphUpdateCounts, outputs]);
 
-  const classify = useCallback(() => {
-    if (canvasRef.current) {
+  const classify = useCallback((modelNames) => {
+    if (canvasRef.current && sessionRef.current) {
       const image = canvasRef.current.getCanvasData();
-      if (image !== null) {
-        // send classification request to worker 1
-        if (worker1.current) {
-          setIsPredicting1(true);
-          worker1.current.postMessage({ action: 'classify', image });
-        }
-        // send classification request to worker 2
-        if (worker2.current) {
-          setIsPredicting2(true);
-          worker2.current.postMessage({ action: 'classify', image });
-        }
+      if (image !== null && workerPool.current) {
+        // tag the request with the word and sketch it was made for, so late results can be dropped
+        const request = {
+          id: ++requestIdRef.current,
+          ...sessionRef.current.getSketchTag(),
+        };
+        // send classification request to the workers of the given models
+        setIsPredicting((prev) => ({
+          ...prev,
+          ...Object.fromEntries(modelNames.map((modelName) => [modelName, true])),
+        }));
+        workerPool.current.classify(image, modelNames, request);
       }
     }
   }, []);
 
-  const handleEndGame = (cancelled = false) => {
-    endGame(
-      setGameState, 
-      addPrediction, 
-      handleClearCanvas, 
-      cancelled, 
-      (updatedLeaderboardData) => {
-        // sort updated leaderboard data by the highest ELO (assuming ELO is in the 4th column/index 3)
-        const sortedData = updatedLeaderboardData.sort((a, b) => b[3] - a[3]);
-  
-        // update ranks in the first column (index 0)
-        const rankedData = sortedData.map((entry, index) => {
-          entry[1] = index + 1; // assuming entry[0] is the rank column
-          return entry;
-        });
-  
-        setLeaderboardData(rankedData);
-      }, 
-      modelStats, 
-      setModelStats, 
-      selectedModelsRef.current, 
-      LeaderboardData
-    );
-  };  
+  // a match only counts towards the leaderboard if none of the models crashed, all of them are published
+  // and they weren't helped, so the ratings aren't a mix of assisted and unassisted results
+  const crashedModelNames = Object.keys(game?.crashedModels ?? {}).map((modelName) => getContenderName(modelName));
+  const customModelNames = selectedModelsRef.current.filter(isCustomContender).map((modelName) => getContenderName(modelName));
+  let unrankedReason = null;
+  if (crashedModelNames.length > 0) {
+    unrankedReason = `${crashedModelNames.join(' and ')} crashed, so this match was not ranked`;
+  } else if (customModelNames.length > 0) {
+    unrankedReason = `${customModelNames.join(' and ')} was loaded from disk, so this match was not ranked`;
+  } else if (isReverseMode(game?.gameMode)) {
+    unrankedReason = 'The models were racing you, so this match was not ranked';
+  } else if (game && game.matchSettings.assistPolicy?.type !== 'none') {
+    unrankedReason = 'The models were assisted, so this match was not ranked';
+  }
+
+  // sort the leaderboard by the highest ELO (index 3) and renumber the ranks (index 1)
+  const handleLeaderboardUpdate = (updatedLeaderboardData) => {
+    const sortedData = updatedLeaderboardData.sort((a, b) => b[3] - a[3]);
+    const rankedData = sortedData.map((entry, index) => {
+      entry[1] = index + 1;
+      return entry;
+    });
+    setLeaderboardData(rankedData);
+  };
 
   const handleClearCanvas = (resetTimeSpentDrawing = false) => {
     if (canvasRef.current) {
       canvasRef.current.clearCanvas(resetTimeSpentDrawing);
     }
+    sessionRef.current?.clearSketch();
   };
 
   const beginCountdown = () => {
     setCountdown(constants.COUNTDOWN_TIMER); // Reset the countdown timer state
-    startCountdown(setCountdown, setGameState);
-    // generate possible labels for the game
-    const possibleLabels = Object.values(constants.LABELS).filter(
-      (x) => !constants.BANNED_LABELS.includes(x)
-    );
-    // shuffle the labels
-    shuffleArray(possibleLabels);
-    // set the targets and target index
-    setTargets(possibleLabels);
-    setTargetIndex(0);
+    countdownCleanupRef.current?.();
+    countdownCleanupRef.current = startCountdown(setCountdown, setGameState);
+    // the daily challenge has the same words in the same order for everyone
+    const challenge = dailyChallengeRef.current;
+    const sessionGameMode = challenge ? constants.GAME_MODES[0] : gameMode;
+    // it is played without assistance, so its scores can be compared with the ranked matches
+    const sessionAssistPolicy = challenge ? constants.ASSIST_POLICIES[0] : assistPolicy;
+    const reverse = isReverseMode(sessionGameMode);
+    let possibleLabels = challenge ? [...challenge.targets] : pickTargets(Math.random, wordFilter);
+    if (reverse) {
+      // only words that have doodles can be guessed
+      possibleLabels = possibleLabels.filter((label) => doodleLabelsRef.current.includes(label));
+    }
+
+    // every game gets a fresh session, the previous one can no longer change what is on screen
+    sessionRef.current?.dispose();
+    const session = new GameSession({
+      models: selectedModelsRef.current,
+      targets: possibleLabels,
+      getSketch: () => canvasRef.current.getCanvasData(),
+      adjustScores: (scores, target) => filterAndAdjustScores(scores, canvasRef.current.getTimeSpentDrawing(), sessionAssistPolicy, target),
+      // every daily challenge is played in the default mode, so the scores can be compared
+      gameMode: sessionGameMode,
+      // models loaded from disk have no place on the leaderboard, and neither do models racing the player
+      // or models that were assisted
+      ranked: !reverse && !selectedModelsRef.current.some(isCustomContender) && sessionAssistPolicy.type === 'none',
+      matchSettings: {
+        schedulingMode: schedulingMode,
+        dailyChallenge: challenge?.date ?? null,
+        wordFilter: challenge ? null : wordFilter,
+        // recorded with the match, so assisted matches can be told apart from the ranked unassisted ones
+        assistPolicy: sessionAssistPolicy,
+      },
+    });
+    const handleNextWord = () => {
+      canvasRef.current?.clearCanvas(true);
+      setSketchHasChanged({});
+      setGuessInput('');
+      setWrongGuess(null);
+    };
+    session.on('update', setGame);
+    session.on('wordGuessed', handleNextWord);
+    session.on('wordSkipped', handleNextWord);
+    session.on('wordDropped', handleNextWord);
+    session.on('wrongGuess', ({ label }) => setWrongGuess(label));
+    session.on('gameOver', ({ cancelled }) => {
+      canvasRef.current?.clearCanvas(true);
+      setGameState(cancelled ? 'menu' : 'end');
+      if (challenge && !cancelled) {
+        setDailyResults(null);
+        fetchDailyResults(challenge.date).then(setDailyResults);
+      }
+    });
+    session.on('matchResult', (match) => recordMatch(match, leaderboardDataRef.current, handleLeaderboardUpdate));
+    sessionRef.current = session;
+    setGame(session.getSnapshot());
+    setGuessInput('');
+    setWrongGuess(null);
   };
+  beginCountdownRef.current = beginCountdown;
   
 
   const handleMainClick = () => {
-    if (!ready) {
+    if (isReverseMode(gameMode) && doodleLabelsRef.current.length === 0) {
+      setLoadError('There are no doodles to guess yet, run "npm run doodles:download" first.');
+      return;
+    }
+    if (isReverseMode(gameMode) && !pickTargets(Math.random, wordFilter).some((label) => doodleLabelsRef.current.includes(label))) {
+      setLoadError('None of the words of the chosen categories and difficulties have doodles, pick others.');
+      return;
+    }
+    dailyChallengeRef.current = null;
+    setDailyChallenge(null);
+    startMatch(ready);
+  };
+
+  const startMatch = (isReady, modelNames = undefined) => {
+    if (!isReady) {
       // if not ready, set game state to loading and load the workers
       setGameState('loading');
-      worker1.current.postMessage({ action: 'load' });
-      worker2.current.postMessage({ action: 'load' });
+      setLoadError(null);
+      loadAttemptsRef.current = {};
+      failedModelsRef.current = [];
+      workerPool.current.load(modelNames);
     } else {
       // if ready, begin the countdown
       beginCountdown();
     }
   };  
 
+  // the daily challenge swaps in the models of the day, which may have to be loaded first
+  const handleDailyClick = () => {
+    const challenge = createDailyChallenge(getDailyChallengeDate());
+    dailyChallengeRef.current = challenge;
+    setDailyChallenge(challenge);
+
+    const outgoing = selectedModelsRef.current.filter((modelName) => !challenge.models.includes(modelName));
+    const incoming = challenge.models.filter((modelName) => !selectedModelsRef.current.includes(modelName));
+    outgoing.forEach((modelName, index) => replaceContender(modelName, incoming[index]));
+    if (incoming.length > 0) {
+      setReady(false);
+    }
+    // models that are already loaded don't have to be loaded again
+    startMatch(ready && incoming.length === 0, ready ? incoming : undefined);
+  };
+
+  const handleDailySubmit = async (player) => {
+    const challenge = dailyChallengeRef.current;
+    await insertDailyResult({
+      challenge_date: challenge.date,
+      player: player,
+      score: predictions.filter((p) => p.correct).length,
+      words: predictions.length,
+      models: challenge.models.map(getContenderName),
+      played_at: new Date().toISOString(),
+    });
+    setDailyResults(await fetchDailyResults(challenge.date));
+  };
+
+  // a model folder dropped onto the menu takes the place of one of the contenders
+  const handleModelDrop = async (dataTransfer) => {
+    let model;
+    try {
+      model = await readDroppedModel(dataTransfer);
+    } catch (error) {
+      setLoadError(error.message);
+      return;
+    }
+
+    const modelName = registerCustomModel(model.name, model.files);
+    const selectedModels = selectedModelsRef.current;
+    // dropping the same folder again reloads it
+    replaceContender(selectedModels.includes(modelName) ? modelName : selectedModels[selectedModels.length - 1], modelName);
+    setReady(false);
+    setLoadError(null);
+  };
+
+  const handleGuessSubmit = (event) => {
+    event.preventDefault();
+    if (guessInput.trim() && sessionRef.current) {
+      sessionRef.current.guess(guessInput, performance.now());
+      setGuessInput('');
+    }
+  };
+
+  // the clock stands still while paused, e.g. when the player switched to another tab
+  const handlePause = useCallback(() => {
+    countdownCleanupRef.current?.();
+    sessionRef.current?.pause(performance.now());
+    setGameState('paused');
+  }, []);
+
+  // a short countdown gives the player time to get ready before the clock runs again
+  const handleResume = () => {
+    setCountdown(constants.RESUME_COUNTDOWN_TIMER);
+    countdownCleanupRef.current?.();
+    countdownCleanupRef.current = startCountdown(setCountdown, setGameState, 'resuming');
+  };
+
   const handleLeaderboardClick = () => {
     setIsLeaderboardVisible((prevState) => !prevState);
   };
@@ -289,54 +497,97 @@ function App() {
       // if playing again, begin the countdown
       beginCountdown();
     } else {
-      // if not playing again, end the game
-      handleEndGame(true);
+      // if not playing again, go back to the menu (the match was already recorded when it ended)
+      setGameState('menu');
     }
   };
   
   useEffect(() => {
     if (gameState === 'countdown' && countdown <= 0) {
-      startGame(setGameStartTime, setPredictions, setGameState, setModelStats);
+      countdownCleanupRef.current?.();
+      sessionRef.current.start(performance.now());
+      setGameState('playing');
+    } else if (gameState === 'resuming' && countdown <= 0) {
+      countdownCleanupRef.current?.();
+      sessionRef.current.resume(performance.now());
+      setGameState('playing');
+      // results that came in while paused were dropped, every model has to look at the sketch again
+      setSketchHasChanged(Object.fromEntries(selectedModelsRef.current.map((modelName) => [modelName, true])));
     }
   }, [gameState, countdown]);
 
-  const addPrediction = useCallback(
-    (isCorrect) => {
-      const image = canvasRef.current.getCanvasData();
-      const model1Name = constants.MODELNAMEMAP[selectedModelsRef.current[0]];
-      const model2Name = constants.MODELNAMEMAP[selectedModelsRef.current[1]];
-      setPredictions((prev) => [
-        ...prev,
-        {
-          output1: output1?.[0] ?? null,
-          output2: output2?.[0] ?? null,
-          image: image,
-          correct: isCorrect,
-          target: targets[targetIndex],
-          model1Name: model1Name,
-          model2Name: model2Name,
-        },
-      ]);
-    },
-    [output1, output2, targetIndex, targets]
-  );
-
   useEffect(() => {
-    checkGameOver(setGameState, gameState, gameCurrentTime, gameStartTime, endGame, (updatedLeaderboardData) => {
-      // sort updated leaderboard data by the highest ELO (assuming ELO is in the 4th column/index 3)
-      const sortedData = updatedLeaderboardData.sort((a, b) => b[3] - a[3]);
-      setLeaderboardData(sortedData);
-    }, modelStats, setModelStats, addPrediction, handleClearCanvas, false, selectedModelsRef.current, LeaderboardData);
-  }, [gameState, gameCurrentTime, gameStartTime, modelStats, selectedModelsRef, LeaderboardData]);
+    // pause when the player leaves the game, timers are throttled in hidden tabs
+    if (gameState !== 'playing' && gameState !== 'resuming') {
+      return;
+    }
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        handlePause();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handlePause);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handlePause);
+    };
+  }, [gameState, handlePause]);
 
   useEffect(() => {
-    checkWordGuessed(gameState, output1, output2, targets, targetIndex, goToNextWord, addPrediction, setTargetIndex, setOutput1, setOutput2, setSketchHasChanged, handleClearCanvas, setGameStartTime, modelStats, setModelStats);
-  }, [gameState, output1, output2, targets, targetIndex, goToNextWord, addPrediction, setTargetIndex, setOutput1, setOutput2, setSketchHasChanged, handleClearCanvas, setGameStartTime, modelStats, setModelStats]);
+    const cleanup = gameLoop(gameState, selectedModelsRef.current, isPredicting, sketchHasChanged, classify, setSketchHasChanged, (now) => sessionRef.current?.tick(now), schedulingMode);
+    return cleanup;
+  }, [gameState, isPredicting, sketchHasChanged, classify, schedulingMode]);
 
+  // in guess-the-doodle mode the doodle of the current word is drawn one stroke at a time
+  const isReverse = isReverseMode(game?.gameMode);
+  const target = game?.target ?? null;
+  const targetIndex = game?.targetIndex ?? null;
   useEffect(() => {
-    const cleanup = gameLoop(gameState, isPredicting1, isPredicting2, sketchHasChanged, classify, setSketchHasChanged, setGameCurrentTime);
-    return cleanup;
-  }, [gameState, isPredicting1, isPredicting2, sketchHasChanged, classify]);
+    if (gameState !== 'playing' || !isReverse || target === null) {
+      return;
+    }
+    let cancelled = false;
+    let timer = null;
+    const drawStroke = (doodle) => {
+      if (cancelled || !canvasRef.current) return;
+      canvasRef.current.drawStrokes(doodle.strokes.slice(0, doodle.count));
+      // every model has to see the new stroke
+      setSketchHasChanged(Object.fromEntries(selectedModelsRef.current.map((modelName) => [modelName, true])));
+      if (doodle.count < doodle.strokes.length) {
+        timer = setTimeout(() => {
+          doodle.count += 1;
+          drawStroke(doodle);
+        }, constants.DOODLE_STROKE_INTERVAL);
+      }
+    };
+    // after a pause the doodle goes on where it stopped
+    const doodle = doodleRef.current;
+    if (doodle && doodle.session === sessionRef.current && doodle.targetIndex === targetIndex) {
+      drawStroke(doodle);
+      return () => {
+        cancelled = true;
+        clearTimeout(timer);
+      };
+    }
+    const session = sessionRef.current;
+    fetchDoodle(target)
+      .then((strokes) => {
+        doodleRef.current = { session, targetIndex, strokes, count: 1 };
+        drawStroke(doodleRef.current);
+      })
+      .catch((error) => {
+        console.error(error);
+        // the player isn't to blame for a doodle that didn't load, so the word is left out instead of skipped
+        if (!cancelled) {
+          sessionRef.current?.dropWord(performance.now());
+        }
+      });
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [gameState, isReverse, target, targetIndex]);
 
   useEffect(() => {
     if (gameState === 'playing') {
@@ -351,7 +602,8 @@ function App() {
   // determine which components should be visible based on game state
   const menuVisible = gameState === 'menu' || gameState === 'loading';
   const isPlaying = gameState === 'playing';
-  const countdownVisible = gameState === 'countdown';
+  const countdownVisible = gameState === 'countdown' || gameState === 'resuming';
+  const isPaused = gameState === 'paused';
   const gameOver = gameState === 'end';
 
   const chartOptions = constants.chartOptionsArray.reduce((acc, chart) => {
@@ -371,8 +623,11 @@ function App() {
       },
       React.createElement(SketchCanvas, {
         onSketchChange: () => {
-          setSketchHasChanged(true);
+          // every model has to see the new strokes
+          setSketchHasChanged(Object.fromEntries(selectedModelsRef.current.map((modelName) => [modelName, true])));
         },
+        // the doodles of guess-the-doodle mode are drawn for the player
+        disabled: isReverse,
         ref: canvasRef,
       })
     ),
@@ -382,6 +637,21 @@ function App() {
       menuVisible &&
         React.createElement(Menu, {
           gameState: gameState,
+          errorMessage: loadError,
+          schedulingMode: schedulingMode,
+          onSchedulingModeChange: setSchedulingMode,
+          gameMode: gameMode,
+          onGameModeChange: setGameMode,
+          wordFilter: wordFilter,
+          onWordFilterChange: setWordFilter,
+          assistPolicy: assistPolicy,
+          onAssistPolicyChange: setAssistPolicy,
+          onModelDrop: handleModelDrop,
+          onDailyClick: handleDailyClick,
+          loadingProgress: selectedModelsRef.current.map((modelName) => ({
+            name: getContenderName(modelName),
+            files: loadingProgress[modelName] ?? {},
+          })),
           onClick: handleMainClick,
           onLeaderboardClick: handleLeaderboardClick,
         })
@@ -389,7 +659,16 @@ function App() {
     React.createElement(
       AnimatePresence,
       { initial: false, mode: "wait" },
-      countdownVisible && React.createElement(Countdown, { countdown: countdown })
+      countdownVisible && React.createElement(Countdown, { countdown: countdown, goText: gameState === 'resuming' ? 'Go!' : 'Draw!' })
+    ),
+    React.createElement(
+      AnimatePresence,
+      { initial: false, mode: "wait" },
+      isPaused &&
+        React.createElement(Pause, {
+          onResume: handleResume,
+          onExit: () => sessionRef.current.cancel(performance.now()),
+        })
     ),
     React.createElement(
       AnimatePresence,
@@ -397,6 +676,13 @@ function App() {
       gameOver &&
         React.createElement(GameOver, {
           predictions: predictions,
+          unrankedReason: unrankedReason,
+          // modes without a clock are about how long it took to draw every word
+          totalTime: game && game.timeLeft === null ? game.elapsedTime : null,
+          versusModels: isReverse,
+          dailyChallenge: dailyChallenge?.date ?? null,
+          dailyResults: dailyResults,
+          onDailySubmit: handleDailySubmit,
           onClick: handleGameOverClick,
         })
     ),
@@ -416,139 +702,144 @@ function App() {
           pieData: [modelColumn, avgTimeColumn],
           donutData: [modelColumn, avgTimeColumn],
           scatterData: [paramsColumn, avgTimeColumn],
-          graphTypes: ["bar", "barH", "scatter"],
+          reliabilityData: LeaderboardData
+            .map((row) => ({ name: row[2], curve: reliabilityCurve(row[11]) }))
+            .filter((model) => model.curve.length > 0),
+          graphTypes: ["bar", "barH", "scatter", "reliability"],
         })
     ),
     isPlaying &&
-      gameCurrentTime !== null &&
-      targets &&
+      unrankedReason &&
+      React.createElement(
+        "div",
+        { className: "absolute top-5 right-5 max-w-xs text-right text-sm text-red-500" },
+        "⚠ ",
+        unrankedReason
+      ),
+    isPlaying &&
+      game &&
+      game.target &&
       React.createElement(
         "div",
         { className: "absolute top-5 text-center" },
         React.createElement(
           "h2",
           { className: "text-4xl" },
-          'Draw "',
-          targets[targetIndex],
-          '"'
+          isReverse ? "What is this doodle?" : `Draw "${game.target}"`
         ),
         React.createElement(
           "h3",
           { className: "text-2xl" },
-          formatTime(
-            Math.max(
-              constants.GAME_DURATION - (gameCurrentTime - gameStartTime) / 1000,
-              0
-            )
-          )
+          // modes without a clock show how long the player has been drawing
+          formatTime(game.timeLeft ?? game.elapsedTime)
         )
       ),
     isPlaying &&
       React.createElement(
         React.Fragment,
         null,
-        React.createElement(
-          "div",
-          { className: "absolute left-0 top-0" },
-          React.createElement(PredictionChart, {
-            predictions: graphOutput1,
-            i: 1,
-          })
-        ),
-        React.createElement(
-          "div",
-          { className: "absolute right-0 top-0" },
-          React.createElement(PredictionChart, {
-            predictions: graphOutput2,
-            i: 2,
-          })
-        ),
+        // contenders alternate between the left and right side of the screen
+        [["left-0", 0], ["right-0", 1]].map(([side, offset]) => {
+          const sideModels = selectedModelsRef.current.filter((_, index) => index % 2 === offset);
+          return React.createElement(
+            "div",
+            { key: side, className: `absolute ${side} top-0 flex flex-col` },
+            sideModels.map((modelName) =>
+              React.createElement(PredictionChart, {
+                key: modelName,
+                predictions: graphOutputs[modelName]?.scores ?? null,
+                i: offset + 1,
+                rows: sideModels.length,
+              })
+            )
+          );
+        }),
         React.createElement(
           "div",
           { className: "absolute bottom-5 text-center w-full" },
           React.createElement(
             "div",
             { className: "flex justify-center gap-20 mb-5" },
-            React.createElement(
-              "div",
-              { className: "flex flex-col items-center justify-center w-1/4" },
-              React.createElement(
-                "h1",
-                { className: "text-2xl font-bold text-center" },
-                output1 &&
-                  output1[0] &&
-                  React.createElement(
-                    React.Fragment,
-                    null,
-                    constants.MODELNAMEMAP[selectedModelsRef.current[0]],
-                    React.createElement("br", null),
-                    "Prediction: ",
-                    output1[0].label,
-                    " (",
-                    (100 * output1[0].score).toFixed(1),
-                    "%)"
-                  )
-              )
-            ),
-            React.createElement(
-              "div",
-              { className: "flex flex-col items-center justify-center w-1/4" },
+            selectedModelsRef.current.map((modelName) =>
               React.createElement(
-                "h1",
-                { className: "text-2xl font-bold text-center" },
-                output2 &&
-                  output2[0] &&
-                  React.createElement(
-                    React.Fragment,
-                    null,
-                    constants.MODELNAMEMAP[selectedModelsRef.current[1]],
-                    React.createElement("br", null),
-                    "Prediction: ",
-                    output2[0].label,
-                    " (",
-                    (100 * output2[0].score).toFixed(1),
-                    "%)"
-                  )
+                "div",
+                { key: modelName, className: "flex flex-col items-center justify-center w-1/4" },
+                React.createElement(
+                  "h1",
+                  { className: "text-2xl font-bold text-center" },
+                  outputs[modelName] &&
+                    outputs[modelName].scores[0] &&
+                    React.createElement(
+                      React.Fragment,
+                      null,
+                      getContenderName(modelName),
+                      React.createElement("br", null),
+                      "Prediction: ",
+                      outputs[modelName].scores[0].label,
+                      " (",
+                      (100 * outputs[modelName].scores[0].score).toFixed(1),
+                      "%)"
+                    )
+                )
               )
             )
           ),
           React.createElement(
             "div",
             { className: "flex gap-4 justify-center" },
+            isReverse
+              ? React.createElement(
+                  "form",
+                  { className: "flex flex-col items-center", onSubmit: handleGuessSubmit },
+                  React.createElement("input", {
+                    className: "px-4 py-2 text-xl rounded-lg border border-gray-300",
+                    list: "doodle-labels",
+                    placeholder: "Your guess",
+                    value: guessInput,
+                    autoFocus: true,
+                    onChange: (e) => setGuessInput(e.target.value),
+                  }),
+                  React.createElement(
+                    "datalist",
+                    { id: "doodle-labels" },
+                    doodleLabelsRef.current.map((label) => React.createElement("option", { key: label, value: label }))
+                  ),
+                  wrongGuess &&
+                    React.createElement("span", { className: "text-sm text-red-500" }, `Not "${wrongGuess}"`)
+                )
+              : React.createElement(
+                  "button",
+                  {
+                    className:
+                      "px-6 py-2 bg-blue-200 text-[#555555] text-xl rounded-lg hover:bg-blue-300",
+                    onClick: handleClearCanvas,
+                  },
+                  "Clear"
+                ),
             React.createElement(
               "button",
               {
                 className:
-                  "px-6 py-2 bg-blue-200 text-[#555555] text-xl rounded-lg hover:bg-blue-300",
-                onClick: handleClearCanvas,
+                  "px-6 py-2 bg-green-200 text-[#555555] text-xl rounded-lg hover:bg-green-300",
+                onClick: () => sessionRef.current.skip(performance.now()),
               },
-              "Clear"
+              "Skip"
             ),
             React.createElement(
               "button",
               {
                 className:
-                  "px-6 py-2 bg-green-200 text-[#555555] text-xl rounded-lg hover:bg-green-300",
-                onClick: () =>
-                  goToNextWord(
-                    addPrediction,
-                    setTargetIndex,
-                    setOutput1,
-                    setOutput2,
-                    setSketchHasChanged,
-                    handleClearCanvas,
-                    false,
-                    setGameStartTime
-                  ),
+                  "px-6 py-2 bg-yellow-200 text-[#555555] text-xl rounded-lg hover:bg-yellow-300",
+                onClick: handlePause,
               },
-              "Skip"
+              "Pause"
             ),
             React.createElement(
               "button",
               {
                 className:
                   "px-6 py-2 bg-purple-200 text-[#555555] text-xl rounded-lg hover:bg-purple-300",
-                onClick: () => handleEndGame(true),
+                onClick: () => sessionRef.current.cancel(performance.now()),
               },
               "Exit"
             )
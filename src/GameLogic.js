@@ -1,5 +1,13 @@
 import constants from './constants';
-import { updateLeaderboardData } from './dbLogic';
+import { updateLeaderboardData, insertMatchResult } from './dbLogic';
+import WorkerPool from './WorkerPool';
+import { getContenderModelPaths, getContenderName, getContenderParams, getContenderPool } from './contenders';
+import { addToLatencyHistogram, latencyPercentile, formatLatency } from './latencyStats';
+import { addToCalibrationHistogram, expectedCalibrationError, formatCalibrationError } from './calibrationStats';
+import { createSeededRandom } from './utils';
+import { filterLabels } from './labels';
+import { updateRating } from './ratings';
+import { createAssistPolicy } from './assistPolicies';
 
 /**
  * Formats time in seconds to mm:ss format.
@@ -16,21 +24,24 @@ export const formatTime = (seconds) => {
 /**
  * Shuffles the elements of an array in place.
  * @param {Array} array - The array to shuffle.
+ * @param {Function} random - Source of random numbers in [0, 1), a seeded one gives the same order every time.
  */
-export const shuffleArray = (array) => {
+export const shuffleArray = (array, random = Math.random) => {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
 };
 
 /**
- * Filters out banned labels and adjusts scores based on time spent drawing.
+ * Filters out banned labels and adjusts scores with the assist policy.
  * @param {Array} data - Array of score objects.
  * @param {number} timeSpentDrawing - Time spent drawing in milliseconds.
+ * @param {Object} assistPolicy - How the models are helped, one of constants.ASSIST_POLICIES.
+ * @param {string|null} target - The word being drawn.
  * @returns {Array} - Filtered and adjusted scores.
  */
-export const filterAndAdjustScores = (data, timeSpentDrawing) => {
+export const filterAndAdjustScores = (data, timeSpentDrawing, assistPolicy = constants.ASSIST_POLICIES[0], target = null) => {
   if (!data || data.length === 0) {
     return [];
   }
@@ -40,49 +51,87 @@ export const filterAndAdjustScores = (data, timeSpentDrawing) => {
     (x) => !constants.BANNED_LABELS.includes(x.label)
   );
 
-  // apply easy mode adjustment
-  const applyEasyMode = timeSpentDrawing - constants.REJECT_TIME_DELAY;
-
-  if (applyEasyMode > 0 && filteredResult.length > 0 && filteredResult[0].score > constants.START_REJECT_THRESHOLD) {
-    let amount = applyEasyMode / constants.REJECT_TIME_PER_LABEL;
-    for (let i = 0; i < filteredResult.length && i < amount + 1; ++i) {
-      if (amount > i) {
-        filteredResult[i].score = 0;
-      } else {
-        filteredResult[i].score *= i - amount;
-      }
-    }
-    filteredResult.sort((a, b) => b.score - a.score);
-  }
+  // help the player
+  const adjustedResult = createAssistPolicy(assistPolicy).adjust(filteredResult, { timeSpentDrawing, target });
 
   // normalize scores
-  const sum = filteredResult.reduce((acc, x) => acc + x.score, 0);
-  filteredResult.forEach((x) => (x.score /= sum));
-  
-  return filteredResult;
+  const sum = adjustedResult.reduce((acc, x) => acc + x.score, 0);
+  return adjustedResult.map((x) => ({ ...x, score: x.score / sum }));
 };
 
 /**
- * Creates two web workers for parallel processing.
- * @param {string} modelName1 - Name of the first model.
- * @param {string} modelName2 - Name of the second model.
- * @returns {Object|null} - An object containing the two workers, or null if there was an error.
+ * Lists the words that can be drawn in a random order.
+ * @param {Function} random - Source of random numbers in [0, 1).
+ * @param {Object} wordFilter - Categories and difficulties to keep ({ categories, difficulties }), all by default.
+ * @returns {string[]} - The shuffled labels, without the banned ones.
  */
-export const createWorkers = (modelName1, modelName2) => {
-  try {
-    const worker1 = new Worker(new URL('./worker1.js', import.meta.url), {
-      type: 'module',
-    });
+export const pickTargets = (random = Math.random, wordFilter = {}) => {
+  const possibleLabels = filterLabels(Object.values(constants.LABELS), wordFilter).filter(
+    (x) => !constants.BANNED_LABELS.includes(x)
+  );
+  shuffleArray(possibleLabels, random);
+  return possibleLabels;
+};
 
-    const worker2 = new Worker(new URL('./worker2.js', import.meta.url), {
-      type: 'module',
-    });
+/**
+ * Picks distinct random contenders to duel each other.
+ * @param {number} count - Number of contenders to pick.
+ * @param {Function} random - Source of random numbers in [0, 1).
+ * @returns {string[]} - The picked contender ids.
+ */
+export const pickRandomModels = (count = constants.NUM_CONTENDERS, random = Math.random) => {
+  const contenders = getContenderPool();
+  shuffleArray(contenders, random);
+  return contenders.slice(0, Math.min(count, contenders.length));
+};
 
-    // send the model name to the workers
-    worker1.postMessage({ action: 'setModel', modelName: modelName1 });
-    worker2.postMessage({ action: 'setModel', modelName: modelName2 });
+/**
+ * Gets the date of today's daily challenge, the same all over the world.
+ * @param {Date} now - The current date.
+ * @returns {string} - The UTC date as YYYY-MM-DD.
+ */
+export const getDailyChallengeDate = (now = new Date()) => now.toISOString().slice(0, 10);
 
-    return { worker1, worker2 };
+/**
+ * Derives the contenders and the words of a daily challenge from its date, so every player
+ * draws the same words in the same order against the same models.
+ * @param {string} date - The date of the challenge (YYYY-MM-DD).
+ * @param {number} count - Number of contenders.
+ * @returns {Object} - { date, models, targets }
+ */
+export const createDailyChallenge = (date, count = constants.NUM_CONTENDERS) => {
+  const random = createSeededRandom(`daily-${date}`);
+  const models = pickRandomModels(count, random);
+  const targets = pickTargets(random);
+  return { date, models, targets };
+};
+
+/**
+ * Picks a random contender to take the place of one that failed to load.
+ * @param {string[]} selectedModels - Contenders already in the game.
+ * @param {string[]} failedModels - Contenders that failed to load.
+ * @returns {string|null} - The replacement contender, or null if every contender is taken or has failed.
+ */
+export const pickReplacementModel = (selectedModels, failedModels) => {
+  // a model that failed to load won't load with TTA or in an ensemble either
+  const failedModelPaths = failedModels.flatMap(getContenderModelPaths);
+  const candidates = getContenderPool().filter(
+    (id) => !selectedModels.includes(id) && !getContenderModelPaths(id).some((path) => failedModelPaths.includes(path))
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates[Math.floor(Math.random() * candidates.length)];
+};
+
+/**
+ * Creates a pool with one web worker per model.
+ * @param {string[]} modelNames - Names of the models to load.
+ * @returns {WorkerPool|null} - The worker pool, or null if there was an error.
+ */
+export const createWorkers = (modelNames) => {
+  try {
+    return new WorkerPool(modelNames);
   } catch (error) {
     console.error('Error creating workers:', error);
     return null;
@@ -90,13 +139,40 @@ export const createWorkers = (modelName1, modelName2) => {
 };
 
 /**
- * Starts the countdown timer and sets the game state to 'countdown'.
+ * Merges a download event from a worker into the per-file loading progress of its model.
+ * @param {Object} progress - Loading progress of every model, keyed by model name and then by file.
+ * @param {string} modelName - Name of the model the event belongs to.
+ * @param {Object} event - The event posted by the worker ({ file, loaded, total, done }).
+ * @returns {Object} - The updated loading progress.
+ */
+export const updateLoadingProgress = (progress, modelName, event) => {
+  const files = progress[modelName] ?? {};
+  const file = files[event.file] ?? { loaded: 0, total: 0, done: false };
+  const total = event.total ?? file.total;
+
+  return {
+    ...progress,
+    [modelName]: {
+      ...files,
+      [event.file]: {
+        // the 'done' event carries no byte counts, so count the whole file as loaded
+        loaded: event.done ? total : (event.loaded ?? file.loaded),
+        total: total,
+        done: event.done || file.done,
+      },
+    },
+  };
+};
+
+/**
+ * Starts the countdown timer and sets the game state to 'countdown' (or 'resuming' after a pause).
  * @param {Function} setCountdown - Function to update the countdown state.
  * @param {Function} setGameState - Function to update the game state.
+ * @param {string} gameState - The game state during the countdown.
  * @returns {Function} - Function to clear the countdown timer.
  */
-export const startCountdown = (setCountdown, setGameState) => {
-  setGameState('countdown');
+export const startCountdown = (setCountdown, setGameState, gameState = 'countdown') => {
+  setGameState(gameState);
   const countdownTimer = setInterval(() => {
     setCountdown((prevCount) => {
       const newCount = prevCount - 1;
@@ -110,207 +186,132 @@ export const startCountdown = (setCountdown, setGameState) => {
 };
 
 /**
- * Starts the game by setting the start time, resetting predictions, and setting the game state to 'playing'.
- * @param {Function} setGameStartTime - Function to set the game start time.
- * @param {Function} setPredictions - Function to set the predictions state.
- * @param {Function} setGameState - Function to set the game state.
- * @param {Function} setModelStats - Function to set the model statistics.
+ * Builds the record of a finished match that is stored alongside the leaderboard.
+ * @param {Object} modelStats - Statistics of the models, keyed by model name.
+ * @param {Array} selectedModels - Array of selected model names.
+ * @param {Object} matchSettings - How the match was played ({ ranked, schedulingMode, dailyChallenge, gameMode, wordFilter, elapsedTime, wordResults }).
+ * @returns {Object} - The match record.
  */
-export const startGame = (setGameStartTime, setPredictions, setGameState, setModelStats) => {
-  setGameStartTime(performance.now());
-  setPredictions([]);
-  setGameState('playing');
-
-  // Reset lastPredictionTimeModel1 and lastPredictionTimeModel2
-  setModelStats((prevStats) => ({
-    ...prevStats,
-    lastPredictionTimeModel1: performance.now(),
-    lastPredictionTimeModel2: performance.now(),
-  }));
+export const createMatchRecord = (modelStats, selectedModels, matchSettings) => {
+  return {
+    models: selectedModels.map(getContenderName),
+    correct_guesses: selectedModels.map((modelName) => modelStats[modelName]?.correctGuesses ?? 0),
+    avg_times: selectedModels.map((modelName) => modelStats[modelName]?.avgPredictionTime ?? 0),
+    latency_p50: selectedModels.map((modelName) => latencyPercentile(addToLatencyHistogram(null, modelStats[modelName]?.latencies ?? []), 0.5)),
+    latency_p95: selectedModels.map((modelName) => latencyPercentile(addToLatencyHistogram(null, modelStats[modelName]?.latencies ?? []), 0.95)),
+    ranked: matchSettings.ranked,
+    scheduling_mode: matchSettings.schedulingMode,
+    daily_challenge: matchSettings.dailyChallenge ?? null,
+    game_mode: matchSettings.gameMode?.type ?? null,
+    game_mode_settings: matchSettings.gameMode ?? null,
+    elapsed_time: matchSettings.elapsedTime ?? null,
+    paused_time: matchSettings.pausedTime ?? 0,
+    word_filter: matchSettings.wordFilter ?? null,
+    rating_system: constants.RATING_SYSTEM,
+    recognition_rule: matchSettings.recognitionRule ?? null,
+    assist_policy: matchSettings.assistPolicy?.type ?? null,
+    assist_policy_settings: matchSettings.assistPolicy ?? null,
+    // how many classifications had their top label changed by the assist policy, out of how many
+    assist_changes: selectedModels.map((modelName) => modelStats[modelName]?.assistChanges ?? 0),
+    classifications: selectedModels.map((modelName) => modelStats[modelName]?.calibration.length ?? 0),
+    word_results: (matchSettings.wordResults ?? []).map((word) => ({
+      target: word.target,
+      outcome: word.outcome,
+      guessed_by: word.guessedBy.map(getContenderName),
+      time: word.time,
+      guesses: word.guesses ?? [],
+      recognition_times: Object.fromEntries(Object.entries(word.recognitionTimes ?? {}).map(([modelName, time]) => [getContenderName(modelName), time])),
+      gap: word.gap ?? null,
+      gap_is_lower_bound: word.gapIsLowerBound ?? false,
+      evidence: Object.fromEntries(Object.entries(word.evidence ?? {}).map(([modelName, frames]) => [getContenderName(modelName), frames])),
+    })),
+    played_at: new Date().toISOString(),
+  };
 };
 
 /**
- * Ends the game by adding a final prediction (if not cancelled), clearing the canvas, and setting the game state to 'menu' or 'end'.
- * @param {Function} setGameState - Function to set the game state.
- * @param {Function} addPrediction - Function to add a prediction.
- * @param {Function} handleClearCanvas - Function to clear the canvas.
- * @param {boolean} cancelled - Whether the game was cancelled.
- * @param {Function} setLeaderboardData - Function to set the leaderboard data.
- * @param {Object} modelStats - Statistics of the models.
- * @param {Function} setModelStats - Function to set the model statistics.
- * @param {Array} selectedModels - Array of selected model names.
+ * Records a finished match and, if it was ranked, updates the leaderboard with it.
+ * @param {Object} match - The match result of the game session ({ models, modelStats, ranked, gameMode, ... }).
  * @param {Array} LeaderboardData - Array of leaderboard data.
+ * @param {Function} setLeaderboardData - Function to set the leaderboard data.
  */
-export const endGame = async (setGameState, addPrediction, handleClearCanvas, cancelled, setLeaderboardData, modelStats, setModelStats, selectedModels, LeaderboardData) => {
-  if (!cancelled) {
-    addPrediction(false);
-  }
-  handleClearCanvas(true);
-  setGameState(cancelled ? 'menu' : 'end');
+export const recordMatch = async (match, LeaderboardData, setLeaderboardData) => {
+  const { models: selectedModels, modelStats } = match;
+  insertMatchResult(createMatchRecord(modelStats, selectedModels, match));
 
-  if (modelStats && LeaderboardData) {
+  if (!match.ranked) {
+    console.warn('Match is unranked, leaderboard not updated');
+    return;
+  }
 
-    const endTime = performance.now();
-    const avgTimeModel1 = modelStats.correctGuessesModel1 > 0 ? (endTime - modelStats.lastPredictionTimeModel1) / modelStats.correctGuessesModel1 / 1000 : 0;
-    const avgTimeModel2 = modelStats.correctGuessesModel2 > 0 ? (endTime - modelStats.lastPredictionTimeModel2) / modelStats.correctGuessesModel2 / 1000 : 0;
+  if (!LeaderboardData) {
+    console.error('LeaderboardData is undefined or has an incorrect structure');
+    return;
+  }
 
-    let updatedLeaderboardData = updateTableData(
-      {
-        ...modelStats,
-        avgTimeModel1,
-        avgTimeModel2,
-      },
-      selectedModels,
-      LeaderboardData
-    );
+  let updatedLeaderboardData = updateTableData(modelStats, selectedModels, LeaderboardData, match.wordResults);
 
-    // Sort updated leaderboard data by the highest ELO (assuming ELO is in the 4th column/index 3)
-    updatedLeaderboardData = updatedLeaderboardData.sort((a, b) => b[3] - a[3]);
-    setLeaderboardData(updatedLeaderboardData);
+  // Sort updated leaderboard data by the highest ELO (assuming ELO is in the 4th column/index 3)
+  updatedLeaderboardData = updatedLeaderboardData.sort((a, b) => b[3] - a[3]);
+  setLeaderboardData(updatedLeaderboardData);
 
-    try {
-      await updateLeaderboardData(updatedLeaderboardData);
-    } catch (error) {
-      console.error('Error updating database:', error);
+  try {
+    const savedLeaderboardData = await updateLeaderboardData(updatedLeaderboardData);
+    if (savedLeaderboardData !== updatedLeaderboardData) {
+      // pick up the ids the database gave to new rows
+      setLeaderboardData(savedLeaderboardData);
     }
-
-    setModelStats((prevStats) => ({
-      ...prevStats,
-      correctGuessesModel1: 0,
-      correctGuessesModel2: 0,
-      lastPredictionTimeModel1: endTime,
-      lastPredictionTimeModel2: endTime,
-    }));
-  } else {
-    console.error('modelStats or LeaderboardData is undefined or has an incorrect structure');
-  }
-};
-
-/**
- * Advances to the next word.
- * @param {Function} addPrediction - Function to add a prediction.
- * @param {Function} setTargetIndex - Function to set the target index.
- * @param {Function} setOutput1 - Function to set the output of the first model.
- * @param {Function} setOutput2 - Function to set the output of the second model.
- * @param {Function} setSketchHasChanged - Function to set whether the sketch has changed.
- * @param {Function} handleClearCanvas - Function to clear the canvas.
- * @param {boolean} isCorrect - Whether the guess was correct.
- * @param {Function} setGameStartTime - Function to set the game start time.
- */
-export const goToNextWord = (addPrediction, setTargetIndex, setOutput1, setOutput2, setSketchHasChanged, handleClearCanvas, isCorrect, setGameStartTime) => {
-  if (!isCorrect) {
-    setGameStartTime((prev) => prev - constants.SKIP_PENALTY);
+  } catch (error) {
+    console.error('Error updating database:', error);
   }
-  addPrediction(isCorrect);
-  setTargetIndex((prev) => prev + 1);
-  setOutput1(null);
-  setOutput2(null);
-  setSketchHasChanged(false);
-  handleClearCanvas(true);
 };
 
 /**
- * Checks if the game is over based on the elapsed time and ends the game if necessary.
- * @param {Function} setGameState - Function to set the game state.
- * @param {string} gameState - The current game state.
- * @param {number} gameCurrentTime - The current game time.
- * @param {number} gameStartTime - The game start time.
- * @param {Function} endGame - Function to end the game.
- * @param {Function} setLeaderboardData - Function to set the leaderboard data.
- * @param {Object} modelStats - Statistics of the models.
- * @param {Function} setModelStats - Function to set the model statistics.
- * @param {Function} addPrediction - Function to add a prediction.
- * @param {Function} handleClearCanvas - Function to clear the canvas.
- * @param {boolean} cancelled - Whether the game was cancelled.
+ * Picks the models that should classify the sketch now.
+ * In independent mode every idle model that hasn't seen the latest sketch is picked,
+ * in lockstep mode all models are picked together once every one of them is idle.
  * @param {Array} selectedModels - Array of selected model names.
- * @param {Array} LeaderboardData - Array of leaderboard data.
+ * @param {Object} isPredicting - Whether each model is predicting, keyed by model name.
+ * @param {Object} sketchHasChanged - Whether each model has not seen the latest sketch, keyed by model name.
+ * @param {string} schedulingMode - 'independent' or 'lockstep'.
+ * @returns {Array} - The models to classify the sketch with.
  */
-export const checkGameOver = (setGameState, gameState, gameCurrentTime, gameStartTime, endGame, setLeaderboardData, modelStats, setModelStats, addPrediction, handleClearCanvas, cancelled, selectedModels, LeaderboardData) => {
-  if (
-    gameState === 'playing' &&
-    gameCurrentTime !== null &&
-    gameStartTime !== null &&
-    (gameCurrentTime - gameStartTime) / 1000 > constants.GAME_DURATION
-  ) {
-    endGame(setGameState, addPrediction, handleClearCanvas, cancelled, setLeaderboardData, modelStats, setModelStats, selectedModels, LeaderboardData);
+export const selectModelsToClassify = (selectedModels, isPredicting, sketchHasChanged, schedulingMode) => {
+  if (schedulingMode === 'lockstep') {
+    const allIdle = selectedModels.every((modelName) => !isPredicting[modelName]);
+    const anyChanged = selectedModels.some((modelName) => sketchHasChanged[modelName]);
+    return allIdle && anyChanged ? selectedModels : [];
   }
+  return selectedModels.filter((modelName) => !isPredicting[modelName] && sketchHasChanged[modelName]);
 };
 
 /**
- * Checks if the current word has been guessed correctly.
+ * Runs the game loop, triggering classification for the models that are due and advancing the game clock.
  * @param {string} gameState - The current game state.
- * @param {Array} output1 - The output of the first model.
- * @param {Array} output2 - The output of the second model.
- * @param {Array} targets - Array of target words.
- * @param {number} targetIndex - The current target index.
- * @param {Function} goToNextWord - Function to advance to the next word.
- * @param {Function} addPrediction - Function to add a prediction.
- * @param {Function} setTargetIndex - Function to set the target index.
- * @param {Function} setOutput1 - Function to set the output of the first model.
- * @param {Function} setOutput2 - Function to set the output of the second model.
- * @param {Function} setSketchHasChanged - Function to set whether the sketch has changed.
- * @param {Function} handleClearCanvas - Function to clear the canvas.
- * @param {Function} setGameStartTime - Function to set the game start time.
- * @param {Object} modelStats - Statistics of the models.
- * @param {Function} setModelStats - Function to set the model statistics.
- */
-export const checkWordGuessed = (gameState, output1, output2, targets, targetIndex, goToNextWord, addPrediction, setTargetIndex, setOutput1, setOutput2, setSketchHasChanged, handleClearCanvas, setGameStartTime, modelStats, setModelStats) => {
-  if (gameState === 'playing' && output1 !== null && output2 !== null && targets !== null) {
-    const target = targets[targetIndex];
-    const predictedByModel1 = target === output1[0].label;
-    const predictedByModel2 = target === output2[0].label;
-
-    if (predictedByModel1 || predictedByModel2) {
-      setModelStats((prevStats) => {
-        const currentTime = performance.now();
-        let avgPredictionTimeModel1 = prevStats.avgPredictionTimeModel1;
-        let avgPredictionTimeModel2 = prevStats.avgPredictionTimeModel2;
-
-        if (predictedByModel1) {
-          const timeDiff = (currentTime - prevStats.lastPredictionTimeModel1) / 1000;
-          avgPredictionTimeModel1 = (prevStats.avgPredictionTimeModel1 * prevStats.correctGuessesModel1 + timeDiff) / (prevStats.correctGuessesModel1 + 1);
-        }
-
-        if (predictedByModel2) {
-          const timeDiff = (currentTime - prevStats.lastPredictionTimeModel2) / 1000;
-          avgPredictionTimeModel2 = (prevStats.avgPredictionTimeModel2 * prevStats.correctGuessesModel2 + timeDiff) / (prevStats.correctGuessesModel2 + 1);
-        }
-
-        return {
-          ...prevStats,
-          correctGuessesModel1: predictedByModel1 ? prevStats.correctGuessesModel1 + 1 : prevStats.correctGuessesModel1,
-          correctGuessesModel2: predictedByModel2 ? prevStats.correctGuessesModel2 + 1 : prevStats.correctGuessesModel2,
-          lastPredictionTimeModel1: predictedByModel1 ? currentTime : currentTime,
-          lastPredictionTimeModel2: predictedByModel2 ? currentTime : currentTime,
-          avgPredictionTimeModel1,
-          avgPredictionTimeModel2,
-        };
-      });
-
-      goToNextWord(addPrediction, setTargetIndex, setOutput1, setOutput2, setSketchHasChanged, handleClearCanvas, true, setGameStartTime);
-    }
-  }
-};
-
-/**
- * Runs the game loop, triggering classification if the sketch has changed and updating the current time.
- * @param {string} gameState - The current game state.
- * @param {boolean} isPredicting1 - Whether the first model is predicting.
- * @param {boolean} isPredicting2 - Whether the second model is predicting.
- * @param {boolean} sketchHasChanged - Whether the sketch has changed.
- * @param {Function} classify - Function to classify the sketch.
- * @param {Function} setSketchHasChanged - Function to set whether the sketch has changed.
- * @param {Function} setGameCurrentTime - Function to set the current game time.
+ * @param {Array} selectedModels - Array of selected model names.
+ * @param {Object} isPredicting - Whether each model is predicting, keyed by model name.
+ * @param {Object} sketchHasChanged - Whether each model has not seen the latest sketch, keyed by model name.
+ * @param {Function} classify - Function to classify the sketch with the given models.
+ * @param {Function} setSketchHasChanged - Function to set which models have not seen the latest sketch.
+ * @param {Function} onTick - Called with the current time on every iteration (advances the game clock).
+ * @param {string} schedulingMode - 'independent' or 'lockstep'.
  * @returns {Function} - Function to clear the interval.
  */
-export const gameLoop = (gameState, isPredicting1, isPredicting2, sketchHasChanged, classify, setSketchHasChanged, setGameCurrentTime) => {
+export const gameLoop = (gameState, selectedModels, isPredicting, sketchHasChanged, classify, setSketchHasChanged, onTick, schedulingMode) => {
   if (gameState === 'playing') {
     const intervalId = setInterval(() => {
-      if (sketchHasChanged && !isPredicting1 && !isPredicting2) {
-        classify();
+      const modelNames = selectModelsToClassify(selectedModels, isPredicting, sketchHasChanged, schedulingMode);
+      if (modelNames.length > 0) {
+        classify(modelNames);
+        setSketchHasChanged((prev) => {
+          const next = { ...prev };
+          modelNames.forEach((modelName) => {
+            next[modelName] = false;
+          });
+          return next;
+        });
       }
-      setSketchHasChanged(false);
-      setGameCurrentTime(performance.now());
+      onTick(performance.now());
     }, constants.PREDICTION_REFRESH_TIME);
 
     return () => {
@@ -320,51 +321,74 @@ export const gameLoop = (gameState, isPredicting1, isPredicting2, sketchHasChang
 };
 
 /**
- * Updates the leaderboard data with new model statistics.
- * @param {Object} modelStats - Statistics of the models.
+ * Scores a model against an opponent: 1 for a win, 0.5 for a draw and 0 for a loss.
+ * With word results every word is a mini-match: a model that recognized the drawing beats one that didn't,
+ * both or neither recognizing it is a draw, and skipped words (or words that could not be played) don't count.
+ * Without them the whole game is a single match decided by the number of correct guesses.
+ * @param {string} modelName - The model.
+ * @param {string} opponentName - The opponent.
+ * @param {Object} modelStats - Statistics of the models, keyed by model name.
+ * @param {Array|null} wordResults - How every word of the game went ({ outcome, guessedBy }).
+ * @returns {number[]} - The scores of the model, one per match.
+ */
+export const getMatchScores = (modelName, opponentName, modelStats, wordResults = null) => {
+  const score = (a, b) => (a > b ? 1 : (a < b ? 0 : 0.5));
+  if (!wordResults) {
+    return [score(modelStats[modelName].correctGuesses, modelStats[opponentName].correctGuesses)];
+  }
+  return wordResults
+    .filter((word) => word.outcome !== 'skipped' && word.outcome !== 'unavailable')
+    .map((word) => score(word.guessedBy.includes(modelName), word.guessedBy.includes(opponentName)));
+};
+
+/**
+ * Updates the leaderboard data with new model statistics, adding rows for contenders that aren't on it yet.
+ * Every model plays every other model in the game, so a free-for-all between N models
+ * counts as one match (or one per word) for each pair.
+ * @param {Object} modelStats - Statistics of the models, keyed by model name.
  * @param {Array} selectedModels - Array of selected model names.
  * @param {Array} LeaderboardData - Array of leaderboard data.
+ * @param {Array|null} wordResults - How every word of the game went, rates the models per word when given.
  * @returns {Array} - Updated leaderboard data.
  */
-export const updateTableData = (modelStats, selectedModels, LeaderboardData) => {
+export const updateTableData = (modelStats, selectedModels, LeaderboardData, wordResults = null) => {
   const modelStatsMap = {};
-  const model1 = selectedModels[0];
-  const model2 = selectedModels[1];
-
-  const calculateElo = (currentElo, opponentElo, score) => {
-    let K;
-    if (currentElo < 2100) {
-      K = 32;  // use higher k-factor for less experienced players
-    } else if (currentElo >= 2100 && currentElo < 2400) {
-      K = 24;  // medium k-factor for moderately experienced players
-    } else {
-      K = 16;  // lower k-factor for highly experienced players
-    }
-    const expectedScore = 1 / (1 + Math.pow(10, (opponentElo - currentElo) / 400));
-    return Math.floor(currentElo + K * (score - expectedScore));
-  };
-
-  const model1Elo = LeaderboardData.find(row => row[2] === constants.MODELNAMEMAP[model1])[3];
-  const model2Elo = LeaderboardData.find(row => row[2] === constants.MODELNAMEMAP[model2])[3];
 
-  const model1Score = modelStats.correctGuessesModel1 > modelStats.correctGuessesModel2 ? 1 : (modelStats.correctGuessesModel1 < modelStats.correctGuessesModel2 ? 0 : 0.5);
-  const model2Score = 1 - model1Score;
+  if (LeaderboardData.length === 0) {
+    // e.g. when playing offline and the leaderboard could not be fetched
+    console.warn('Leaderboard is not available, match not recorded');
+    return LeaderboardData;
+  }
 
-  const newModel1Elo = calculateElo(model1Elo, model2Elo, model1Score);
-  const newModel2Elo = calculateElo(model2Elo, model1Elo, model2Score);
+  // contenders playing their first ranked match get a fresh row (saved without an id until the database assigns one)
+  const newRows = selectedModels
+    .filter((modelName) => !LeaderboardData.some(row => row[2] === getContenderName(modelName)))
+    .map((modelName) => [null, LeaderboardData.length + 1, getContenderName(modelName), constants.INITIAL_ELO, '0.00', getContenderParams(modelName), 0, '-', '-', '-', null, null, null, null]);
+  const leaderboardRows = [...LeaderboardData, ...newRows];
+
+  // ratings before the match
+  const ratings = {};
+  selectedModels.forEach((modelName) => {
+    const row = leaderboardRows.find(row => row[2] === getContenderName(modelName));
+    ratings[modelName] = { rating: row[3], deviation: row[12], volatility: row[13] };
+  });
 
-  modelStatsMap[model1] = {
-    correctGuesses: modelStats.correctGuessesModel1,
-    avgTime: modelStats.avgPredictionTimeModel1,
-    lastPredictionTime: modelStats.lastPredictionTimeModel1,
-    elo: newModel1Elo
-  };
-  modelStatsMap[model2] = {
-    correctGuesses: modelStats.correctGuessesModel2,
-    avgTime: modelStats.avgPredictionTimeModel2,
-    lastPredictionTime: modelStats.lastPredictionTimeModel2,
-    elo: newModel2Elo
-  };
+  selectedModels.forEach((modelName) => {
+    const stats = modelStats[modelName];
+    const results = selectedModels
+      .filter((opponentName) => opponentName !== modelName)
+      .flatMap((opponentName) => getMatchScores(modelName, opponentName, modelStats, wordResults)
+        .map((score) => ({ ...ratings[opponentName], score })));
+
+    modelStatsMap[modelName] = {
+      correctGuesses: stats.correctGuesses,
+      avgTime: stats.avgPredictionTime,
+      lastPredictionTime: stats.lastPredictionTime,
+      latencies: stats.latencies ?? [],
+      calibration: stats.calibration ?? [],
+      rating: updateRating(constants.RATING_SYSTEM, ratings[modelName], results),
+    };
+  });
 
   const calculateAvgTime = (prevAvgTime, prevCorrectGuesses, newAvgTime, newCorrectGuesses) => {
     const totalPrevTime = prevAvgTime * prevCorrectGuesses;
@@ -373,44 +397,54 @@ export const updateTableData = (modelStats, selectedModels, LeaderboardData) =>
     return totalCorrectGuesses ? ((totalPrevTime + totalNewTime) / totalCorrectGuesses).toFixed(2) : prevAvgTime.toFixed(2);
   };
 
-  const updatedLeaderboardData = LeaderboardData.map((row) => {
-    const [id, rank, model, elo, avgTime, params, correctGuesses] = row;
-    if (model === constants.MODELNAMEMAP[model1]) {
-      const newAvgTime = calculateAvgTime(
-        parseFloat(avgTime),
-        correctGuesses,
-        modelStatsMap[model1].avgTime,
-        modelStatsMap[model1].correctGuesses
-      );
-      return [
-        id,
-        rank,
-        model,
-        modelStatsMap[model1].elo,
-        newAvgTime,
-        params,
-        correctGuesses + modelStatsMap[model1].correctGuesses
-      ];
-    } else if (model === constants.MODELNAMEMAP[model2]) {
-      const newAvgTime = calculateAvgTime(
-        parseFloat(avgTime),
-        correctGuesses,
-        modelStatsMap[model2].avgTime,
-        modelStatsMap[model2].correctGuesses
-      );
-      return [
-        id,
-        rank,
-        model,
-        modelStatsMap[model2].elo,
-        newAvgTime,
-        params,
-        correctGuesses + modelStatsMap[model2].correctGuesses
-      ];
-    } else {
+  const updatedLeaderboardData = leaderboardRows.map((row) => {
+    const [id, rank, model, , avgTime, params, correctGuesses, , , , latencyHistogram, calibrationHistogram] = row;
+    const modelName = selectedModels.find((name) => getContenderName(name) === model);
+    if (!modelName) {
       return row;
     }
+
+    const newAvgTime = calculateAvgTime(
+      parseFloat(avgTime),
+      correctGuesses,
+      modelStatsMap[modelName].avgTime,
+      modelStatsMap[modelName].correctGuesses
+    );
+    const newLatencyHistogram = addToLatencyHistogram(latencyHistogram, modelStatsMap[modelName].latencies);
+    const newCalibrationHistogram = addToCalibrationHistogram(calibrationHistogram, modelStatsMap[modelName].calibration);
+    return [
+      id,
+      rank,
+      model,
+      modelStatsMap[modelName].rating.rating,
+      newAvgTime,
+      params,
+      correctGuesses + modelStatsMap[modelName].correctGuesses,
+      formatLatency(latencyPercentile(newLatencyHistogram, 0.5)),
+      formatLatency(latencyPercentile(newLatencyHistogram, 0.95)),
+      formatCalibrationError(expectedCalibrationError(newCalibrationHistogram)),
+      newLatencyHistogram,
+      newCalibrationHistogram,
+      modelStatsMap[modelName].rating.deviation,
+      modelStatsMap[modelName].rating.volatility
+    ];
   });
 
   return updatedLeaderboardData;
 };
+
+/**
+ * Looks up the leaderboard rating of every model, for ensembles that weight their members by Elo.
+ * @param {Array} LeaderboardData - Array of leaderboard data.
+ * @returns {Object} - Elo of each model on the leaderboard, keyed by model path.
+ */
+export const getModelRatings = (LeaderboardData) => {
+  return constants.MODELPATHS.reduce((acc, modelPath) => {
+    const row = LeaderboardData.find((r) => r[2] === getContenderName(modelPath));
+    if (row) {
+      acc[modelPath] = row[3];
+    }
+    return acc;
+  }, {});
+};
+
@@ -0,0 +1,684 @@
+import constants from './constants.js';
+import { getContenderName } from './contenders.js';
+import { createGameMode } from './gameModes.js';
+import { createRecognitionRule } from './recognition.js';
+
+// stands for the player in guessedBy when they recognize a doodle before the models (guess-the-doodle mode)
+export const HUMAN = 'human';
+
+/**
+ * Creates empty statistics for every model in the game.
+ * @param {string[]} modelNames - Names of the models in the game.
+ * @param {number} now - Time to use as the last prediction time.
+ * @returns {Object} - Statistics keyed by model name.
+ */
+export const createModelStats = (modelNames, now = 0) => {
+  return modelNames.reduce((acc, modelName) => {
+    acc[modelName] = {
+      correctGuesses: 0,
+      lastPredictionTime: now,
+      avgPredictionTime: 0,
+      latencies: [], // preprocessing + inference time of every classify call, in ms
+      calibration: [], // confidence of the top guess of every classify call and whether it was the target
+      assistChanges: 0, // classify calls whose top label was changed by the assist policy
+    };
+    return acc;
+  }, {});
+};
+
+/**
+ * Checks whether a classification request was made for a sketch that is no longer on the canvas.
+ * @param {Object|null} request - The request the result belongs to ({ id, targetIndex, revision }).
+ * @param {Object} snapshot - The current target index and sketch revision, and optionally the id
+ *   of the last result accepted from the same model (results arriving out of order are stale too).
+ * @returns {boolean} - Whether the result should be ignored.
+ */
+export const isStaleRequest = (request, snapshot) => {
+  if (!request) {
+    return true;
+  }
+  if (snapshot.lastRequestId !== undefined && request.id <= snapshot.lastRequestId) {
+    return true;
+  }
+  return request.targetIndex !== snapshot.targetIndex || request.revision !== snapshot.revision;
+};
+
+/**
+ * One game: the words to draw, the clock, the statistics of every model and the drawings made so far.
+ * The session knows nothing about React, workers or the canvas. It is driven by clock ticks and
+ * classifier results, and tells its listeners what happened through events:
+ * - update: anything changed, with a snapshot of the session
+ * - wordGuessed: { index, target, guessedBy } a model (or the player, see guess) recognized the drawing, the next word is up
+ * - wrongGuess: { index, target, label } the player guessed the wrong word
+ * - wordSkipped: { index, target } the player skipped the word (costs SKIP_PENALTY)
+ * - wordDropped: { index, target } the word could not be played and was left out, see dropWord
+ * - gameOver: { cancelled, predictions } the game mode ended the game or it was cancelled
+ * - matchResult: { models, modelStats, wordResults, ranked, cancelled, gameMode, recognitionRule, elapsedTime, pausedTime,
+ *   ...matchSettings } what to record for the match
+ * While the game is paused the clock stands still and results are dropped, see pause.
+ */
+export default class GameSession {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.models - The contenders in the game.
+   * @param {string[]} options.targets - The words to draw, in order.
+   * @param {Function} options.getSketch - Returns the current drawing, stored with every word (null when headless).
+   * @param {Function} options.adjustScores - Turns a model's raw label distribution into the one used in the game,
+   * given the word being drawn.
+   * @param {Object} options.gameMode - When the game is over, one of constants.GAME_MODES.
+   * @param {Object} options.recognitionRule - When a model has recognized the word, see constants.RECOGNITION_RULE.
+   * @param {boolean} options.ranked - Whether the match can count towards the leaderboard at all.
+   * @param {Object} options.matchSettings - How the match is played, passed on with the match result.
+   */
+  constructor({
+    models,
+    targets,
+    getSketch = () => null,
+    adjustScores = (scores) => scores,
+    gameMode = constants.GAME_MODES[0],
+    recognitionRule = constants.RECOGNITION_RULE,
+    ranked = true,
+    matchSettings = {},
+  }) {
+    this.models = models;
+    this.targets = targets;
+    this.getSketch = getSketch;
+    this.adjustScores = adjustScores;
+    this.gameMode = gameMode;
+    this.rules = createGameMode(gameMode);
+    this.recognitionRule = recognitionRule;
+    this.recognition = createRecognitionRule(recognitionRule);
+    this.rankable = ranked;
+    this.matchSettings = matchSettings;
+
+    this.state = 'ready';
+    this.targetIndex = 0;
+    this.revision = 0; // bumped every time the sketch is cleared
+    this.startTime = null;
+    this.currentTime = null;
+    this.wordStartTime = null;
+    this.pausedAt = null;
+    this.pausedTime = 0; // ms the game has been paused for, left out of every clock
+    this.outputs = {};
+    this.streaks = {}; // the frames in a row in which each model had the word on top, see recognition.js
+    this.recognitionTimes = {}; // when each model recognized the current word, in ms
+    this.predictions = [];
+    // { index, target, outcome, guessedBy, time, guesses, recognitionTimes, gap, gapIsLowerBound, evidence }
+    // for every word that was played
+    this.wordResults = [];
+    this.guesses = []; // the player's guesses of the current word, { label, time }
+    this.modelStats = createModelStats(models);
+    this.crashedModels = {};
+    this.lastRequestIds = {};
+    this.listeners = new Map();
+  }
+
+  /**
+   * Whether the match counts towards the leaderboard (not if a model crashed).
+   * @returns {boolean}
+   */
+  get ranked() {
+    return this.rankable && Object.keys(this.crashedModels).length === 0;
+  }
+
+  /**
+   * Registers a listener for an event.
+   * @param {string} event - The event to listen for.
+   * @param {Function} listener - Called with the event's payload.
+   * @returns {Function} - Function to remove the listener.
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => {
+      this.listeners.get(event).delete(listener);
+    };
+  }
+
+  /**
+   * Hands an event to its listeners.
+   * @param {string} event - The event.
+   * @param {*} payload - What happened.
+   */
+  emit(event, payload) {
+    (this.listeners.get(event) ?? []).forEach((listener) => listener(payload));
+  }
+
+  /**
+   * Drops all listeners, e.g. when a new game replaces this one.
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+
+  /**
+   * A copy of everything a view needs to render the game.
+   * @returns {Object} - The snapshot.
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      targets: this.targets,
+      targetIndex: this.targetIndex,
+      target: this.targets[this.targetIndex] ?? null,
+      startTime: this.startTime,
+      currentTime: this.currentTime,
+      timeLeft: this.getTimeLeft(),
+      elapsedTime: this.getElapsedTime(),
+      gameMode: this.gameMode,
+      outputs: this.outputs,
+      predictions: this.predictions,
+      modelStats: this.modelStats,
+      crashedModels: this.crashedModels,
+      ranked: this.ranked,
+      matchSettings: this.matchSettings,
+    };
+  }
+
+  /**
+   * Tells the listeners the session changed.
+   */
+  emitUpdate() {
+    this.emit('update', this.getSnapshot());
+  }
+
+  /**
+   * Seconds left on the clock of the game mode.
+   * @returns {number|null} - null if the game has not started or the mode has no clock.
+   */
+  getTimeLeft() {
+    if (this.startTime === null) {
+      return null;
+    }
+    return this.rules.getTimeLeft(this);
+  }
+
+  /**
+   * Seconds played so far, skip penalties included.
+   * @returns {number}
+   */
+  getElapsedTime() {
+    if (this.startTime === null) {
+      return 0;
+    }
+    return (this.currentTime - this.startTime) / 1000;
+  }
+
+  /**
+   * Identifies the sketch a classification request is made for, so late results can be dropped.
+   * @returns {Object} - { targetIndex, revision }
+   */
+  getSketchTag() {
+    return { targetIndex: this.targetIndex, revision: this.revision };
+  }
+
+  /**
+   * Starts the clock.
+   * @param {number} now - The current time in ms.
+   */
+  start(now) {
+    this.state = 'playing';
+    this.startTime = now;
+    this.currentTime = now;
+    this.wordStartTime = now;
+    this.modelStats = createModelStats(this.models, now);
+    this.emitUpdate();
+  }
+
+  /**
+   * Stops the clock, e.g. while the tab is hidden. Results that come in while paused are dropped.
+   * @param {number} now - The current time in ms.
+   */
+  pause(now) {
+    if (this.state !== 'playing') return;
+    this.state = 'paused';
+    this.currentTime = now;
+    this.pausedAt = now;
+    this.emitUpdate();
+  }
+
+  /**
+   * Restarts the clock as if the pause never happened: every point in time the session measures from
+   * moves forward by the length of the pause.
+   * @param {number} now - The current time in ms.
+   */
+  resume(now) {
+    if (this.state !== 'paused') return;
+    const pause = now - this.pausedAt;
+    this.startTime += pause;
+    this.wordStartTime += pause;
+    this.currentTime = now;
+    this.modelStats = Object.fromEntries(
+      Object.entries(this.modelStats).map(([modelName, stats]) => [modelName, { ...stats, lastPredictionTime: stats.lastPredictionTime + pause }])
+    );
+    this.streaks = Object.fromEntries(
+      Object.entries(this.streaks).map(([modelName, frames]) => [modelName, frames.map((frame) => ({ ...frame, time: frame.time + pause }))])
+    );
+    this.recognitionTimes = Object.fromEntries(
+      Object.entries(this.recognitionTimes).map(([modelName, time]) => [modelName, time + pause])
+    );
+    this.pausedTime += pause;
+    this.pausedAt = null;
+    this.state = 'playing';
+    this.emitUpdate();
+  }
+
+  /**
+   * Advances the clock, ending the game when the time is up (the word being drawn is lost).
+   * A model that has held the word on top long enough recognizes it without a new classification.
+   * @param {number} now - The current time in ms.
+   */
+  tick(now) {
+    if (this.state !== 'playing') return;
+
+    this.currentTime = now;
+    const timeLeft = this.getTimeLeft();
+    if (timeLeft !== null && timeLeft <= 0) {
+      // a model that recognized the word before the time was up still gets it
+      const guessedBy = this.awardWord(now);
+      this.finishWord(guessedBy ? 'guessed' : 'timeout', guessedBy ?? [], now);
+      this.end(now, false);
+      return;
+    }
+    this.checkWordGuessed(now);
+    this.emitUpdate();
+  }
+
+  /**
+   * Marks the sketch as changed beyond what earlier requests saw (e.g. the canvas was cleared).
+   */
+  clearSketch() {
+    this.revision += 1;
+    // frames of the old sketch don't count towards recognizing the new one
+    this.streaks = {};
+  }
+
+  /**
+   * Takes the result of a classification, dropping it if it was made for an older sketch,
+   * and moves on to the next word once every model has seen the current sketch and one of them got it.
+   * @param {string} modelName - The model that produced the result.
+   * @param {Object} result - { request, timing, data, plain } as posted by the worker.
+   * @param {number} now - The current time in ms.
+   * @returns {boolean} - Whether the result was accepted.
+   */
+  handleResult(modelName, result, now) {
+    if (this.state !== 'playing' || !this.modelStats[modelName]) {
+      return false;
+    }
+
+    const stats = this.modelStats[modelName];
+    // inference cost counts even if the result itself is stale
+    const latencies = result.timing ? [...stats.latencies, result.timing.preprocess + result.timing.inference] : stats.latencies;
+    this.modelStats = { ...this.modelStats, [modelName]: { ...stats, latencies } };
+
+    if (isStaleRequest(result.request, { ...this.getSketchTag(), lastRequestId: this.lastRequestIds[modelName] })) {
+      return false;
+    }
+    this.lastRequestIds[modelName] = result.request.id;
+
+    // calibration is about the model's own confidence, before the scores are adjusted for the game
+    const [topGuess] = result.data;
+    if (topGuess) {
+      const sample = { confidence: topGuess.score, correct: topGuess.label === this.targets[this.targetIndex] };
+      this.modelStats[modelName] = {
+        ...this.modelStats[modelName],
+        calibration: [...this.modelStats[modelName].calibration, sample],
+      };
+    }
+
+    const target = this.targets[this.targetIndex];
+    const scores = this.adjustScores(result.data, target);
+    // the assist policy changed the model's mind if its top label (of those still in the game) is no longer on top
+    const unassistedTopGuess = result.data.find((x) => scores.some((s) => s.label === x.label));
+    if (unassistedTopGuess && scores[0].label !== unassistedTopGuess.label) {
+      this.modelStats[modelName] = {
+        ...this.modelStats[modelName],
+        assistChanges: this.modelStats[modelName].assistChanges + 1,
+      };
+    }
+
+    // a streak that already recognized the word keeps its place even if this frame breaks it
+    this.getRecognitionTimes(now);
+    const frame = this.recognition.getFrame(scores, target, now);
+    this.streaks = { ...this.streaks, [modelName]: frame ? [...(this.streaks[modelName] ?? []), frame] : [] };
+
+    this.outputs = {
+      ...this.outputs,
+      [modelName]: {
+        scores: scores,
+        // TTA contenders also report what they would have guessed without augmentation
+        plainScores: result.plain ? this.adjustScores(result.plain, target) : null,
+        // the model's own top label, before banned labels are dropped and the scores adjusted
+        modelOutput: result.data[0] ?? null,
+        request: result.request,
+      },
+    };
+    this.checkWordGuessed(now);
+    this.emitUpdate();
+    return true;
+  }
+
+  /**
+   * Lets the other models play on after one crashed, the match is no longer ranked.
+   * @param {string} modelName - The model that crashed.
+   * @param {string} message - What went wrong.
+   * @param {number} now - The current time in ms.
+   */
+  handleCrash(modelName, message, now) {
+    this.crashedModels = { ...this.crashedModels, [modelName]: message };
+    this.outputs = { ...this.outputs, [modelName]: { scores: [], plainScores: null, modelOutput: null, request: null } };
+    if (this.state === 'playing') {
+      this.checkWordGuessed(now);
+    }
+    this.emitUpdate();
+  }
+
+  /**
+   * Skips the current word, at the cost of SKIP_PENALTY.
+   * @param {number} now - The current time in ms.
+   */
+  skip(now = this.currentTime) {
+    if (this.state !== 'playing') return;
+    // a word a model has already recognized can't be skipped, it goes to the model
+    if (Object.values(this.getRecognitionTimes(now)).some((time) => time !== null)) {
+      this.checkWordGuessed(now, true);
+      this.emitUpdate();
+      return;
+    }
+
+    this.startTime -= constants.SKIP_PENALTY;
+    const index = this.targetIndex;
+    this.nextWord('skipped', [], now);
+    this.emit('wordSkipped', { index, target: this.targets[index] });
+    this.checkGameOver(now);
+    this.emitUpdate();
+  }
+
+  /**
+   * Moves on from a word that can't be played, e.g. because its doodle failed to load. Unlike a skip it
+   * costs nothing: the word is recorded as 'unavailable' and doesn't count as a miss.
+   * @param {number} now - The current time in ms.
+   */
+  dropWord(now = this.currentTime) {
+    if (this.state !== 'playing') return;
+
+    const index = this.targetIndex;
+    // the time spent on the word doesn't count towards the models' prediction times either
+    this.modelStats = Object.fromEntries(
+      Object.entries(this.modelStats).map(([modelName, stats]) => [modelName, { ...stats, lastPredictionTime: now }])
+    );
+    this.nextWord('unavailable', [], now);
+    this.emit('wordDropped', { index, target: this.targets[index] });
+    this.checkGameOver(now);
+    this.emitUpdate();
+  }
+
+  /**
+   * Stops the game before the time is up.
+   * @param {number} now - The current time in ms.
+   */
+  cancel(now) {
+    // the pause doesn't count towards the time played
+    this.resume(now);
+    if (this.state !== 'playing') return;
+    this.end(now, true);
+  }
+
+  /**
+   * Attaches the saliency map explaining a model's guess to one of the drawings.
+   * @param {number} index - Which drawing the saliency map belongs to.
+   * @param {string} modelName - The model that made the guess.
+   * @param {Object} saliency - The saliency map ({ label, grid, values }).
+   */
+  addExplanation(index, modelName, saliency) {
+    this.predictions = this.predictions.map((p, i) => (i !== index ? p : {
+      ...p,
+      contenders: p.contenders.map((c) => (c.modelName === modelName ? { ...c, saliency } : c)),
+    }));
+    this.emitUpdate();
+  }
+
+  /**
+   * Takes the player's guess of the word being drawn (guess-the-doodle mode): the player wins
+   * the word if they name it before the models recognize it.
+   * @param {string} label - The player's guess.
+   * @param {number} now - The current time in ms.
+   * @returns {boolean} - Whether the guess was right.
+   */
+  guess(label, now) {
+    if (this.state !== 'playing') return false;
+
+    const index = this.targetIndex;
+    const target = this.targets[index];
+    this.guesses = [...this.guesses, { label, time: (now - this.wordStartTime) / 1000 }];
+    if (label.trim().toLowerCase() !== target.toLowerCase()) {
+      this.emit('wrongGuess', { index, target, label });
+      this.emitUpdate();
+      return false;
+    }
+    // a model that recognized the word while the others were still being timed got there first
+    if (Object.values(this.getRecognitionTimes(now)).some((time) => time !== null)) {
+      this.checkWordGuessed(now, true);
+      this.emitUpdate();
+      return true;
+    }
+
+    this.modelStats = Object.fromEntries(
+      Object.entries(this.modelStats).map(([modelName, stats]) => [modelName, { ...stats, lastPredictionTime: now }])
+    );
+    this.nextWord('guessed', [HUMAN], now);
+    this.emit('wordGuessed', { index, target, guessedBy: [HUMAN] });
+    this.checkGameOver(now);
+    this.emitUpdate();
+    return true;
+  }
+
+  /**
+   * Checks if the current word has been recognized by any of the models (see recognition.js).
+   * Once one of them has, the others get RECOGNITION_GAP_WINDOW to recognize it too so the gap between them
+   * can be timed, and the word moves on when they all have or when the window is over and every model has
+   * returned a prediction for the current sketch (a crashed model is never waited for).
+   * @param {number} now - The current time in ms.
+   * @param {boolean} force - Whether to hand out the word right away if a model recognized it.
+   */
+  checkWordGuessed(now, force = false) {
+    const recognitionTimes = this.getRecognitionTimes(now);
+    const activeModels = this.models.filter((modelName) => !this.crashedModels[modelName]);
+    const times = activeModels.map((modelName) => recognitionTimes[modelName]).filter((time) => time !== null);
+    if (times.length === 0) return;
+
+    if (!force && times.length < activeModels.length) {
+      if (now - Math.min(...times) < constants.RECOGNITION_GAP_WINDOW) return;
+      const isCurrent = (output) => output.request === null || !isStaleRequest(output.request, this.getSketchTag());
+      if (!activeModels.every((modelName) => this.outputs[modelName] && isCurrent(this.outputs[modelName]))) return;
+    }
+
+    const index = this.targetIndex;
+    const target = this.targets[index];
+    const guessedBy = this.awardWord(now);
+    this.nextWord('guessed', guessedBy, now);
+    this.emit('wordGuessed', { index, target, guessedBy });
+    this.checkGameOver(now);
+  }
+
+  /**
+   * Gives the current word to whoever recognized it first (models that got there at the same moment share it)
+   * and updates their statistics.
+   * @param {number} now - The current time in ms.
+   * @returns {string[]|null} - The models the word went to, null if no model recognized it.
+   */
+  awardWord(now) {
+    const recognitionTimes = this.getRecognitionTimes(now);
+    const times = Object.values(recognitionTimes).filter((time) => time !== null);
+    if (times.length === 0) return null;
+
+    const firstTime = Math.min(...times);
+    const guessedBy = this.models.filter((modelName) => recognitionTimes[modelName] === firstTime);
+
+    const newStats = {};
+    Object.entries(this.modelStats).forEach(([modelName, stats]) => {
+      if (guessedBy.includes(modelName)) {
+        const timeDiff = (recognitionTimes[modelName] - stats.lastPredictionTime) / 1000;
+        newStats[modelName] = {
+          ...stats,
+          correctGuesses: stats.correctGuesses + 1,
+          avgPredictionTime: (stats.avgPredictionTime * stats.correctGuesses + timeDiff) / (stats.correctGuesses + 1),
+          lastPredictionTime: now,
+        };
+      } else {
+        newStats[modelName] = { ...stats, lastPredictionTime: now };
+      }
+    });
+    this.modelStats = newStats;
+    return guessedBy;
+  }
+
+  /**
+   * When each model recognized the current word. The first time a model's streak recognizes it is kept,
+   * whatever the model makes of the sketch afterwards.
+   * @param {number} now - The current time in ms.
+   * @returns {Object} - The time in ms keyed by model name, null for models that haven't recognized it (yet).
+   */
+  getRecognitionTimes(now) {
+    this.models.forEach((modelName) => {
+      const time = this.recognition.getRecognitionTime(this.streaks[modelName] ?? []);
+      if (this.recognitionTimes[modelName] === undefined && time !== null && time <= now) {
+        this.recognitionTimes = { ...this.recognitionTimes, [modelName]: time };
+      }
+    });
+    return Object.fromEntries(this.models.map((modelName) => [modelName, this.recognitionTimes[modelName] ?? null]));
+  }
+
+  /**
+   * Ends the game if the game mode says so after a word was guessed or skipped, or if there are no words left.
+   * @param {number} now - The current time in ms.
+   */
+  checkGameOver(now) {
+    if (this.state === 'playing' && (this.rules.isOver(this) || this.targetIndex >= this.targets.length)) {
+      this.end(now, false);
+    }
+  }
+
+  /**
+   * Stores the drawing of the current word with what every model made of it.
+   * @param {boolean} correct - Whether the word was guessed.
+   * @param {string[]} guessedBy - Who recognized the drawing (models, or HUMAN for the player).
+   * @param {Object} recognitionTimes - Seconds into the word each model recognized it, null if it didn't.
+   * @param {number|null} gap - Seconds between the first and the second model to recognize it.
+   * @param {boolean} gapIsLowerBound - Whether the second model never recognized it, the gap being how long it was given.
+   */
+  addPrediction(correct, guessedBy = [], recognitionTimes = {}, gap = null, gapIsLowerBound = false) {
+    this.predictions = [
+      ...this.predictions,
+      {
+        contenders: this.models.map((modelName) => ({
+          modelName: modelName,
+          name: getContenderName(modelName),
+          output: this.outputs[modelName]?.scores[0] ?? null,
+          plainOutput: this.outputs[modelName]?.plainScores?.[0] ?? null,
+          modelOutput: this.outputs[modelName]?.modelOutput ?? null,
+        })),
+        image: this.getSketch(),
+        correct: correct,
+        guessedBy: guessedBy,
+        recognitionTimes: recognitionTimes,
+        gap: gap,
+        gapIsLowerBound: gapIsLowerBound,
+        target: this.targets[this.targetIndex],
+      },
+    ];
+  }
+
+  /**
+   * Records how the current word went: every word is a mini-match between the models.
+   * @param {string} outcome - 'guessed' (by the models in guessedBy), 'skipped' or 'timeout' (nobody got it),
+   * or 'unavailable' (the word could not be played, it is left out of the predictions).
+   * @param {string[]} guessedBy - The models (or HUMAN) that recognized the drawing.
+   * @param {number} now - The current time in ms.
+   */
+  finishWord(outcome, guessedBy, now) {
+    const recognitionTimes = Object.fromEntries(
+      Object.entries(this.getRecognitionTimes(now))
+        .map(([modelName, time]) => [modelName, time === null ? null : (time - this.wordStartTime) / 1000])
+    );
+    const activeModels = this.models.filter((modelName) => !this.crashedModels[modelName]);
+    const times = activeModels.map((modelName) => recognitionTimes[modelName]).filter((time) => time !== null).sort((a, b) => a - b);
+    // if no other model recognized the word, they were behind by at least as long as they were given
+    const gapIsLowerBound = times.length === 1 && activeModels.length > 1;
+    let gap = null;
+    if (times.length >= 2) {
+      gap = times[1] - times[0];
+    } else if (gapIsLowerBound) {
+      gap = (now - this.wordStartTime) / 1000 - times[0];
+    }
+
+    if (outcome !== 'unavailable') {
+      this.addPrediction(outcome === 'guessed', guessedBy, recognitionTimes, gap, gapIsLowerBound);
+    }
+    this.wordResults = [
+      ...this.wordResults,
+      {
+        index: this.targetIndex,
+        target: this.targets[this.targetIndex],
+        outcome,
+        guessedBy,
+        time: (now - this.wordStartTime) / 1000,
+        guesses: this.guesses,
+        recognitionTimes,
+        gap,
+        gapIsLowerBound,
+        // the frames each model had the word on top for when the word ended, in seconds since it started
+        evidence: Object.fromEntries(
+          this.models.map((modelName) => [
+            modelName,
+            (this.streaks[modelName] ?? []).map((frame) => ({ ...frame, time: (frame.time - this.wordStartTime) / 1000 })),
+          ])
+        ),
+      },
+    ];
+  }
+
+  /**
+   * Moves on to the next word with an empty sketch.
+   * @param {string} outcome - How the current word went, see finishWord.
+   * @param {string[]} guessedBy - The models that recognized the drawing.
+   * @param {number} now - The current time in ms.
+   */
+  nextWord(outcome, guessedBy, now) {
+    this.finishWord(outcome, guessedBy, now);
+    this.targetIndex += 1;
+    this.wordStartTime = now;
+    this.guesses = [];
+    this.outputs = {};
+    this.recognitionTimes = {};
+    this.clearSketch();
+  }
+
+  /**
+   * Ends the game and hands out the match result.
+   * @param {number} now - The current time in ms.
+   * @param {boolean} cancelled - Whether the game was stopped before the time was up.
+   */
+  end(now, cancelled) {
+    this.state = 'over';
+    this.currentTime = now;
+    this.clearSketch();
+
+    this.emit('gameOver', { cancelled, predictions: this.predictions });
+    this.emit('matchResult', {
+      ...this.matchSettings,
+      models: this.models,
+      modelStats: this.modelStats,
+      wordResults: this.wordResults,
+      ranked: this.ranked,
+      cancelled,
+      gameMode: this.gameMode,
+      recognitionRule: this.recognitionRule,
+      elapsedTime: this.getElapsedTime(),
+      pausedTime: this.pausedTime / 1000,
+    });
+    this.emitUpdate();
+  }
+}
@@ -0,0 +1,276 @@
+import { getCustomModelFiles, parseContender } from './contenders';
+import { mergeDistributions } from './ensemble';
+
+/**
+ * Pool of classifier web workers, one worker per model.
+ * Messages are routed to workers by model id, and every message a worker posts back
+ * is handed to the pool's listeners together with the id of the model that produced it.
+ * An ensemble gets one worker per member; the pool merges their results and reports them
+ * as if they came from a single worker.
+ */
+export default class WorkerPool {
+  /**
+   * @param {string[]} modelIds - The models to spin up a worker for.
+   */
+  constructor(modelIds = []) {
+    this.workers = new Map();
+    this.listeners = new Set();
+    this.ratings = {};
+    modelIds.forEach((modelId) => this.add(modelId));
+  }
+
+  /**
+   * The ids of every model in the pool, in the order they were added.
+   * @returns {string[]}
+   */
+  get modelIds() {
+    return [...this.workers.keys()];
+  }
+
+  /**
+   * Creates a worker for a model (or one per member of an ensemble) and tells it which model to use.
+   * @param {string} modelId - The model to add.
+   */
+  add(modelId) {
+    if (this.workers.has(modelId)) return;
+
+    const { members, merge } = parseContender(modelId);
+    const entry = {
+      workers: [],
+      members,
+      merge,
+      ready: new Set(), // members that finished loading
+      pending: new Map(), // results (or errors) received so far, keyed by request id
+      explanations: new Map(), // saliency maps received so far, keyed by request
+    };
+
+    members.forEach(({ modelPath, tta }, index) => {
+      const worker = new Worker(new URL('./worker.js', import.meta.url), {
+        type: 'module',
+      });
+      worker.addEventListener('message', (e) => {
+        const message = merge ? this.collect(entry, index, e.data) : e.data;
+        if (message) {
+          this.emit(modelId, message);
+        }
+      });
+      // uncaught errors inside the worker (e.g. the script failed to load) are reported like any other error
+      worker.addEventListener('error', (e) => {
+        this.emit(modelId, { status: 'error', action: 'worker', data: e.message });
+      });
+      const files = getCustomModelFiles(modelPath);
+      worker.postMessage({ action: 'setModel', modelName: modelPath, options: files ? { tta, files } : { tta } });
+      entry.workers.push(worker);
+    });
+
+    this.workers.set(modelId, entry);
+  }
+
+  /**
+   * Combines a message from a member of an ensemble with those of the other members.
+   * @param {Object} entry - The ensemble.
+   * @param {number} index - Which member posted the message.
+   * @param {Object} message - The message.
+   * @returns {Object|null} - The message to hand to the listeners, or null while waiting for other members.
+   */
+  collect(entry, index, message) {
+    switch (message.status) {
+      case 'ready':
+        entry.ready.add(index);
+        return entry.ready.size === entry.workers.length ? message : null;
+
+      case 'progress':
+        // members download files with the same names
+        return {
+          ...message,
+          data: { ...message.data, file: `${entry.members[index].modelPath}/${message.data.file}` },
+        };
+
+      case 'result': {
+        const key = message.request?.id ?? null;
+        const results = entry.pending.get(key) ?? [];
+        results[index] = message;
+        if (!this.settle(entry, key, results)) {
+          return null;
+        }
+        // a member failed, the error was handed on when it came in
+        if (results.some((result) => result.status === 'error')) {
+          return null;
+        }
+
+        const elos = entry.members.map(({ modelPath }) => this.ratings[modelPath] ?? null);
+        return {
+          ...message,
+          // members run side by side, so the ensemble is as slow as its slowest member
+          timing: results.every((result) => result.timing) ? {
+            preprocess: Math.max(...results.map((result) => result.timing.preprocess)),
+            inference: Math.max(...results.map((result) => result.timing.inference)),
+          } : null,
+          data: mergeDistributions(results.map((result) => result.data), entry.merge, elos),
+          plain: null,
+        };
+      }
+
+      case 'explanation': {
+        const key = JSON.stringify(message.request);
+        const explanations = entry.explanations.get(key) ?? [];
+        explanations[index] = message.data;
+        entry.explanations.set(key, explanations);
+        if (explanations.filter(Boolean).length < entry.workers.length) {
+          return null;
+        }
+        entry.explanations.delete(key);
+
+        // the ensemble's map is the mean of its members' maps
+        return {
+          ...message,
+          data: {
+            ...message.data,
+            values: message.data.values.map((_, cell) =>
+              explanations.reduce((acc, explanation) => acc + explanation.values[cell], 0) / explanations.length
+            ),
+          },
+        };
+      }
+
+      case 'error':
+        if (message.action === 'classify') {
+          // the other members' results for this request are still on their way and are dropped when they arrive
+          const key = message.request?.id ?? null;
+          const results = entry.pending.get(key) ?? [];
+          const alreadyFailed = results.some((result) => result?.status === 'error');
+          results[index] = message;
+          this.settle(entry, key, results);
+          return alreadyFailed ? null : message;
+        } else if (message.action === 'explain') {
+          entry.explanations.delete(JSON.stringify(message.request));
+        } else {
+          entry.ready.delete(index);
+        }
+        return message;
+
+      default:
+        return message;
+    }
+  }
+
+  /**
+   * Keeps the messages an ensemble's members posted for a request until every member has answered.
+   * @param {Object} entry - The ensemble.
+   * @param {*} key - The request id.
+   * @param {Array} results - The members' messages so far, by member index.
+   * @returns {boolean} - Whether every member has answered (the request is then forgotten).
+   */
+  settle(entry, key, results) {
+    if (results.filter(Boolean).length < entry.workers.length) {
+      entry.pending.set(key, results);
+      return false;
+    }
+    entry.pending.delete(key);
+    return true;
+  }
+
+  /**
+   * Hands a message to every listener.
+   * @param {string} modelId - The model the message belongs to.
+   * @param {Object} message - The message.
+   */
+  emit(modelId, message) {
+    this.listeners.forEach((listener) => listener(modelId, message));
+  }
+
+  /**
+   * Sets the leaderboard ratings used by ensembles that weight their members by Elo.
+   * @param {Object} ratings - Elo of each model, keyed by model path.
+   */
+  setRatings(ratings) {
+    this.ratings = ratings;
+  }
+
+  /**
+   * Terminates the worker of a model and starts a worker for another model in its place.
+   * @param {string} modelId - The model to replace.
+   * @param {string} newModelId - The model to use instead.
+   */
+  replace(modelId, newModelId) {
+    const entry = this.workers.get(modelId);
+    if (!entry) return;
+
+    entry.workers.forEach((worker) => worker.terminate());
+    const modelIds = this.modelIds;
+    this.workers.delete(modelId);
+    this.add(newModelId);
+
+    // keep the new model at the position of the one it replaced
+    const workers = new Map();
+    modelIds.forEach((id) => {
+      const key = id === modelId ? newModelId : id;
+      workers.set(key, this.workers.get(key));
+    });
+    this.workers = workers;
+  }
+
+  /**
+   * Sends a message to the worker of a single model (every worker of an ensemble).
+   * @param {string} modelId - The model to send the message to.
+   * @param {Object} message - The message to send.
+   */
+  postMessage(modelId, message) {
+    const entry = this.workers.get(modelId);
+    if (!entry) {
+      console.error(`No worker for model ${modelId}`);
+      return;
+    }
+    entry.workers.forEach((worker) => worker.postMessage(message));
+  }
+
+  /**
+   * Asks the given models (all of them by default) to load their weights.
+   * @param {string[]} modelIds - The models to load.
+   */
+  load(modelIds = this.modelIds) {
+    modelIds.forEach((modelId) => this.postMessage(modelId, { action: 'load' }));
+  }
+
+  /**
+   * Sends an image to the given models (all of them by default) for classification.
+   * @param {ImageData} image - The sketch to classify.
+   * @param {string[]} modelIds - The models that should classify the image.
+   * @param {Object} request - Identifies the request, echoed back by the worker with its result.
+   */
+  classify(image, modelIds = this.modelIds, request = null) {
+    modelIds.forEach((modelId) => this.postMessage(modelId, { action: 'classify', image, request }));
+  }
+
+  /**
+   * Asks a model to explain its guess for a sketch with an occlusion saliency map.
+   * @param {string} modelId - The model that made the guess.
+   * @param {ImageData} image - The sketch.
+   * @param {string} label - The label the model guessed.
+   * @param {Object} request - Identifies the request, echoed back by the worker with the saliency map.
+   */
+  explain(modelId, image, label, request = null) {
+    this.postMessage(modelId, { action: 'explain', image, label, request });
+  }
+
+  /**
+   * Registers a listener for messages from any worker in the pool.
+   * @param {Function} listener - Called with (modelId, message) for every message.
+   * @returns {Function} - Function to remove the listener.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Terminates every worker and drops all listeners.
+   */
+  terminate() {
+    this.workers.forEach((entry) => entry.workers.forEach((worker) => worker.terminate()));
+    this.workers.clear();
+    this.listeners.clear();
+  }
+}
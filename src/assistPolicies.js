@@ -0,0 +1,94 @@
+// An assist policy helps the player by bending the models' scores towards the word being drawn
+// (or away from the labels they are stuck on). adjust(scores, { timeSpentDrawing, target }) gets the
+// scores without the banned labels, sorted from most to least likely, and returns them adjusted and sorted.
+// - none: the models' own scores
+// - rejection: once the player has drawn for `delay` ms and the top label is over `threshold`, the top
+//   labels are rejected one by one, one every `timePerLabel` ms ("easy mode")
+// - top-k: the word counts as recognized as soon as it is among the model's `k` best labels
+// - confidence-gap: the word counts as recognized when it is at most `gap` behind the top label
+// Assisted matches are recorded with the policy and how often it changed the top label.
+
+const promote = (scores, label) => {
+  const index = scores.findIndex((x) => x.label === label);
+  if (index <= 0) {
+    return scores;
+  }
+  // the word swaps scores with the top label
+  return scores
+    .map((x, i) => (i === 0 ? { ...x, score: scores[index].score } : i === index ? { ...x, score: scores[0].score } : x))
+    .sort((a, b) => b.score - a.score);
+};
+
+const none = () => ({
+  adjust: (scores) => scores,
+});
+
+const rejection = ({ threshold, delay, timePerLabel }) => ({
+  adjust: (scores, { timeSpentDrawing }) => {
+    const applyEasyMode = timeSpentDrawing - delay;
+    if (applyEasyMode <= 0 || scores.length === 0 || scores[0].score <= threshold) {
+      return scores;
+    }
+    const amount = applyEasyMode / timePerLabel;
+    return scores
+      .map((x, i) => {
+        if (i >= amount + 1) return x;
+        return { ...x, score: amount > i ? 0 : x.score * (i - amount) };
+      })
+      .sort((a, b) => b.score - a.score);
+  },
+});
+
+const topK = ({ k }) => ({
+  adjust: (scores, { target }) => {
+    const index = scores.findIndex((x) => x.label === target);
+    return index >= 0 && index < k ? promote(scores, target) : scores;
+  },
+});
+
+const confidenceGap = ({ gap }) => ({
+  adjust: (scores, { target }) => {
+    const match = scores.find((x) => x.label === target);
+    return match && scores[0].score - match.score <= gap ? promote(scores, target) : scores;
+  },
+});
+
+const ASSIST_POLICY_RULES = {
+  none,
+  rejection,
+  'top-k': topK,
+  'confidence-gap': confidenceGap,
+};
+
+/**
+ * Creates an assist policy.
+ * @param {Object} assistPolicy - The policy and its settings, one of constants.ASSIST_POLICIES.
+ * @returns {Object} - { adjust }
+ */
+export const createAssistPolicy = (assistPolicy) => {
+  const rules = ASSIST_POLICY_RULES[assistPolicy.type];
+  if (!rules) {
+    throw new Error(`Unknown assist policy: ${assistPolicy.type}`);
+  }
+  return rules(assistPolicy);
+};
+
+/**
+ * Describes an assist policy for the menu.
+ * @param {Object} assistPolicy - The policy and its settings.
+ * @returns {string} - E.g. "Top 3".
+ */
+export const getAssistPolicyName = (assistPolicy) => {
+  switch (assistPolicy.type) {
+    case 'none':
+      return 'None';
+    case 'rejection':
+      return `Rejection after ${assistPolicy.delay / 1000}s`;
+    case 'top-k':
+      return `Top ${assistPolicy.k}`;
+    case 'confidence-gap':
+      return `Within ${Math.round(assistPolicy.gap * 100)}%`;
+    default:
+      return assistPolicy.type;
+  }
+};
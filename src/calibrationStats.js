@@ -0,0 +1,72 @@
+// How well a model's confidence matches how often it is right. Every classification of a sketch
+// adds the confidence of the top guess and whether it was the target to one of CALIBRATION_BINS
+// equal-width confidence bins, each stored as [count, correct, confidence sum] so the bins can be
+// merged across games like the latency histograms.
+export const CALIBRATION_BINS = 10;
+
+/**
+ * Creates an empty calibration histogram.
+ * @returns {number[][]} - One [count, correct, confidence sum] per bin.
+ */
+export const createCalibrationHistogram = () => Array.from({ length: CALIBRATION_BINS }, () => [0, 0, 0]);
+
+/**
+ * Adds samples to a calibration histogram.
+ * @param {number[][]|null} histogram - The histogram to add to (left untouched).
+ * @param {Array<{confidence: number, correct: boolean}>} samples - Top guesses and whether they were right.
+ * @returns {number[][]} - The updated histogram.
+ */
+export const addToCalibrationHistogram = (histogram, samples) => {
+  const updated = histogram && histogram.length === CALIBRATION_BINS
+    ? histogram.map((bin) => [...bin])
+    : createCalibrationHistogram();
+
+  samples.forEach(({ confidence, correct }) => {
+    const bin = updated[Math.min(Math.floor(confidence * CALIBRATION_BINS), CALIBRATION_BINS - 1)];
+    bin[0] += 1;
+    bin[1] += correct ? 1 : 0;
+    bin[2] += confidence;
+  });
+
+  return updated;
+};
+
+/**
+ * Computes the accuracy and mean confidence of every non-empty bin, the points of a reliability diagram.
+ * @param {number[][]|null} histogram - The histogram.
+ * @returns {Array<{confidence: number, accuracy: number, count: number}>} - One point per non-empty bin.
+ */
+export const reliabilityCurve = (histogram) => {
+  if (!histogram) {
+    return [];
+  }
+  return histogram
+    .filter(([count]) => count > 0)
+    .map(([count, correct, confidenceSum]) => ({
+      confidence: confidenceSum / count,
+      accuracy: correct / count,
+      count,
+    }));
+};
+
+/**
+ * Computes the expected calibration error: the gap between confidence and accuracy, averaged over the bins
+ * and weighted by how many samples fell in each.
+ * @param {number[][]|null} histogram - The histogram.
+ * @returns {number|null} - The ECE (0 is perfectly calibrated), or null if the histogram is empty.
+ */
+export const expectedCalibrationError = (histogram) => {
+  const curve = reliabilityCurve(histogram);
+  const total = curve.reduce((acc, point) => acc + point.count, 0);
+  if (total === 0) {
+    return null;
+  }
+  return curve.reduce((acc, point) => acc + (point.count / total) * Math.abs(point.accuracy - point.confidence), 0);
+};
+
+/**
+ * Formats an expected calibration error for the leaderboard table.
+ * @param {number|null} ece - The error.
+ * @returns {string} - The error as a percentage, or '-' if there is no data yet.
+ */
+export const formatCalibrationError = (ece) => (ece === null ? '-' : `${(ece * 100).toFixed(1)}%`);
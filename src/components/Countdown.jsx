@@ -38,9 +38,10 @@ const dropIn = {
  *
  * @param {Object} props - The component props.
  * @param {number} props.countdown - The current value of the countdown timer.
+ * @param {string} props.goText - What to show when the countdown is over.
  * @returns {JSX.Element} The rendered Countdown component.
  */
-const Countdown = ({ countdown }) => {
+const Countdown = ({ countdown, goText = 'Draw!' }) => {
   return React.createElement(
     motion.div,
     {
@@ -56,7 +57,7 @@ const Countdown = ({ countdown }) => {
         style: { transform: 'translateY(-0.8rem)' },
         className: 'text-9xl',
       },
-      countdown > 0 ? countdown : 'Draw!'
+      countdown > 0 ? countdown : goText
     )
   );
 };
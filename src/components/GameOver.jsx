@@ -1,5 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { formatTime } from '../GameLogic';
+import { HUMAN } from '../GameSession';
 
 /**
  * Animation configuration for the drop-in effect.
@@ -39,14 +41,126 @@ function createImageFromImageData(imageData) {
   return canvas.toDataURL();
 }
 
+/**
+ * Creates a heatmap image from a saliency map, red where erasing the sketch hurt the guess the most.
+ * @param {Object} saliency - The saliency map ({ grid, values }).
+ * @returns {string} - The data URL of the heatmap (one pixel per cell, scaled up smoothly by the browser).
+ */
+function createImageFromSaliency(saliency) {
+  const { grid, values } = saliency;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = grid;
+  canvas.height = grid;
+  const heatmap = context.createImageData(grid, grid);
+  const max = Math.max(...values);
+  values.forEach((value, i) => {
+    heatmap.data[i * 4] = 255;
+    heatmap.data[i * 4 + 3] = max > 0 ? Math.round((Math.max(value, 0) / max) * 180) : 0;
+  });
+  context.putImageData(heatmap, 0, 0);
+  return canvas.toDataURL();
+}
+
+/**
+ * DailyLeaderboard lets the player put their score on the leaderboard of the daily challenge
+ * and shows how everyone else did on the same words.
+ * @param {Object} props - The component props.
+ * @param {string} props.date - The date of the challenge.
+ * @param {Array|null} props.results - The scores submitted so far ({ player, score, words }), null while loading.
+ * @param {Function} props.onSubmit - Called with the player's name to submit their score.
+ * @returns {JSX.Element} - The rendered daily leaderboard.
+ */
+const DailyLeaderboard = ({ date, results, onSubmit }) => {
+  const [player, setPlayer] = useState(() => localStorage.getItem('dailyPlayerName') ?? '');
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const name = player.trim();
+    if (!name || submitted) return;
+    localStorage.setItem('dailyPlayerName', name);
+    setSubmitted(true);
+    onSubmit(name);
+  };
+
+  return React.createElement('div', {
+    className: 'mb-4 flex flex-col items-center',
+  },
+    React.createElement('h3', {
+      className: 'text-lg font-semibold text-slate-900',
+    }, 'Daily challenge ', date),
+    // name and submit button, until the score is in
+    !submitted && React.createElement('form', {
+      onSubmit: handleSubmit,
+      className: 'flex gap-2 mt-2',
+    },
+      React.createElement('input', {
+        value: player,
+        onChange: (event) => setPlayer(event.target.value),
+        placeholder: 'Your name',
+        maxLength: 32,
+        className: 'px-2 py-1 rounded-md border border-slate-300 text-slate-900',
+      }),
+      React.createElement('button', {
+        type: 'submit',
+        className: 'px-4 py-1 font-semibold shadow rounded-md text-[#555555]',
+        style: { backgroundColor: '#a8c6a0' },
+      }, 'Submit score')
+    ),
+    // scores of everyone who played today
+    results === null
+      ? React.createElement('p', { className: 'text-sm text-slate-500 mt-2' }, 'Loading scores...')
+      : React.createElement('ol', {
+        className: 'text-sm text-slate-700 mt-2 max-h-32 overflow-y-auto',
+      },
+        results.map((r, i) => React.createElement('li', {
+          key: i,
+        }, `${i + 1}. ${r.player}: ${r.score} / ${r.words}`))
+      )
+  );
+};
+
+/**
+ * Describes who recognized a word first, e.g. "MobileViT-XXS beat DeiT-Tiny by 0.4s"
+ * (or "by more than 1.5s" if DeiT-Tiny never recognized it).
+ * @param {Object} prediction - The prediction of the word ({ contenders, guessedBy, gap }).
+ * @returns {string|null} - The description, or null if no model recognized the word.
+ */
+const describeWinner = (prediction) => {
+  const winners = prediction.contenders.filter(c => prediction.guessedBy.includes(c.modelName));
+  const losers = prediction.contenders.filter(c => !prediction.guessedBy.includes(c.modelName));
+  if (winners.length === 0) {
+    return null;
+  }
+  const winnerNames = winners.map(c => c.name).join(' and ');
+  if (losers.length === 0) {
+    return `${winnerNames} tied`;
+  }
+  let gap = '';
+  if (prediction.gapIsLowerBound) {
+    // the others never recognized it in the time they were given
+    gap = ` by more than ${prediction.gap.toFixed(1)}s`;
+  } else if (prediction.gap !== null && prediction.gap > 0) {
+    gap = ` by ${prediction.gap.toFixed(1)}s`;
+  }
+  return `${winnerNames} beat ${losers.map(c => c.name).join(' and ')}${gap}`;
+};
+
 /**
  * GameOver component displays the game over screen with player's score and predictions.
  * @param {Object} props - The component props.
  * @param {Array} props.predictions - The array of predictions made by the player.
+ * @param {string|null} props.unrankedReason - Why the match did not count towards the leaderboard, if it didn't.
+ * @param {number|null} props.totalTime - How many seconds the game took, shown for game modes without a clock.
+ * @param {boolean} props.versusModels - Whether the player raced the models to guess the doodles.
+ * @param {string|null} props.dailyChallenge - The date of the daily challenge, if this was one.
+ * @param {Array|null} props.dailyResults - The scores of the daily challenge so far.
+ * @param {Function} props.onDailySubmit - Called with the player's name to submit their daily challenge score.
  * @param {Function} props.onClick - The function to handle button clicks.
  * @returns {JSX.Element} - The rendered game over component.
  */
-const GameOver = ({ predictions, onClick }) => {
+const GameOver = ({ predictions, unrankedReason = null, totalTime = null, versusModels = false, dailyChallenge = null, dailyResults = null, onDailySubmit, onClick }) => {
   return (
     // main container with drop-in animation
     React.createElement(motion.div, {
@@ -60,10 +174,31 @@ const GameOver = ({ predictions, onClick }) => {
       React.createElement('h1', {
         className: 'sm:text-7xl text-6xl mb-3 font-bold tracking-tight text-slate-900 text-center',
       }, 'Game Over!'),
-      // display score
-      React.createElement('h2', {
-        className: 'mb-4 sm:text-2xl text-xl font-semibold text-slate-900',
-      }, 'Score: ', predictions.filter(p => p.correct).length, ' / ', predictions.length),
+      // display score, split between the player and the models if they raced each other
+      versusModels
+        ? React.createElement('h2', {
+          className: 'mb-4 sm:text-2xl text-xl font-semibold text-slate-900',
+        },
+          'You: ', predictions.filter(p => p.guessedBy.includes(HUMAN)).length,
+          ' · Models: ', predictions.filter(p => p.correct && !p.guessedBy.includes(HUMAN)).length,
+          ' / ', predictions.length)
+        : React.createElement('h2', {
+          className: 'mb-4 sm:text-2xl text-xl font-semibold text-slate-900',
+        }, 'Score: ', predictions.filter(p => p.correct).length, ' / ', predictions.length),
+      // display the total time
+      totalTime !== null && React.createElement('h3', {
+        className: 'mb-4 text-lg text-slate-900',
+      }, 'Time: ', formatTime(totalTime)),
+      // explain why the leaderboard was not updated
+      unrankedReason && React.createElement('p', {
+        className: 'mb-4 text-base text-red-500',
+      }, unrankedReason),
+      // compare the score with everyone who drew the same words today
+      dailyChallenge && React.createElement(DailyLeaderboard, {
+        date: dailyChallenge,
+        results: dailyResults,
+        onSubmit: onDailySubmit,
+      }),
       // container for predictions
       React.createElement('div', {
         className: 'max-w-full overflow-x-auto flex gap-4 px-8 p-4 rounded-lg shadow-[0_5px_25px_-5px_rgb(0,0,0,0.1),_0_8px_10px_-6px_rgb(0,0,0,0.1);]',
@@ -74,20 +209,54 @@ const GameOver = ({ predictions, onClick }) => {
             key: i,
             className: 'flex justify-center items-center w-full flex-col',
           },
-            React.createElement('img', {
-              className: 'max-h-[12rem] min-w-[12rem]',
-              src: p.image ? createImageFromImageData(p.image) : '',
-            }),
+            // once the saliency maps are in, show the drawing once per model with its map on top
+            p.contenders.some(c => c.saliency)
+              ? React.createElement('div', {
+                className: 'flex gap-2',
+              },
+                p.contenders.map(c => React.createElement('div', {
+                  key: `${c.modelName}-saliency`,
+                  className: 'flex flex-col items-center',
+                },
+                  React.createElement('div', {
+                    className: 'relative h-[10rem] w-[10rem]',
+                  },
+                    React.createElement('img', {
+                      className: 'absolute inset-0 w-full h-full',
+                      src: p.image ? createImageFromImageData(p.image) : '',
+                    }),
+                    c.saliency && React.createElement('img', {
+                      className: 'absolute inset-0 w-full h-full',
+                      src: createImageFromSaliency(c.saliency),
+                    })
+                  ),
+                  React.createElement('p', {
+                    className: 'text-slate-500 text-sm mt-1',
+                  }, c.name, ': ', c.saliency ? c.saliency.label : '...')
+                ))
+              )
+              : React.createElement('img', {
+                className: 'max-h-[12rem] min-w-[12rem]',
+                src: p.image ? createImageFromImageData(p.image) : '',
+              }),
             React.createElement('p', {
               className: 'text-slate-900 text-lg font-semibold mt-2',
             }, p.target, ' ', p.correct ? '✅' : '❌'),
-            // display the model that made the correct prediction
-            p.correct && p.output1 && p.output1.label === p.target && React.createElement('p', {
+            // the player named the doodle first
+            p.guessedBy.includes(HUMAN) && React.createElement('p', {
               className: 'text-slate-600 text-base mt-1',
-            }, 'Predicted by: ', p.model1Name, ),
-            p.correct && p.output2 && p.output2.label === p.target && React.createElement('p', {
+            }, 'Guessed by: You'),
+            // display which model recognized the word first, and by how much
+            p.correct && describeWinner(p) && React.createElement('p', {
               className: 'text-slate-600 text-base mt-1',
-            }, 'Predicted by: ', p.model2Name, )
+            }, describeWinner(p)),
+            // show what TTA contenders would have guessed without augmentation
+            p.contenders
+              .filter(c => c.plainOutput)
+              .map(c => React.createElement('p', {
+                key: `${c.modelName}-plain`,
+                className: 'text-slate-500 text-sm mt-1',
+              }, c.name, ' without TTA: ', c.plainOutput.label, c.plainOutput.label === p.target ? ' ✅' : ' ❌'))
           )
         )
       ),
@@ -4,6 +4,14 @@ import { Typography, Box } from '@mui/material';
 import Rough from 'roughjs/bundled/rough.esm';
 import { Bar, BarH, Scatter, Pie, Donut } from 'react-roughviz';
 import { mobileTabletCheck } from '../utils';
+import ReliabilityDiagram from './ReliabilityDiagram';
+import { formatRating } from '../ratings';
+
+// rows can carry extra data after the displayed columns (e.g. latency histograms), only show what has a header,
+// and show the rating (index 3) with its deviation (index 12)
+const toTableRow = (row, numColumns) => row
+  .slice(1, numColumns)
+  .map((cell, index) => (index === 2 ? formatRating(cell, row[12]) : cell));
 
 /**
  * Leaderboard component that displays leaderboard data and various graphs.
@@ -16,6 +24,7 @@ import { mobileTabletCheck } from '../utils';
  * @param {Object} props.scatterData - data for the scatter plot
  * @param {Array} props.pieData - data for the pie chart
  * @param {Array} props.donutData - data for the donut chart
+ * @param {Array} props.reliabilityData - calibration curve of every model for the reliability diagram
  * @param {Object} props.chartOptions - options for the charts
  * @param {number} props.numGraphs - number of graphs to display
  * @param {Array} props.graphTypes - types of graphs to display
@@ -31,13 +40,14 @@ const Leaderboard = ({
   scatterData = {}, 
   pieData = [], 
   donutData = [], 
+  reliabilityData = [],
   chartOptions = {}, 
   numGraphs,
   graphTypes = [],
   onClose, 
 }) => {
   // state to store the table data
-  const [tableData, setTableData] = useState(LeaderboardData ? LeaderboardData.map(row => row.slice(1)) : []);
+  const [tableData, setTableData] = useState(LeaderboardData ? LeaderboardData.map(row => toTableRow(row, colNames.length)) : []);
   // ref to store the canvas element for the table
   const tableCanvasRef = useRef(null);
   // check if the device is mobile or tablet
@@ -265,6 +275,8 @@ const Leaderboard = ({
           return React.createElement(Pie, commonProps); // render pie chart
         case 'donut':
           return React.createElement(Donut, commonProps); // render donut chart
+        case 'reliability':
+          return React.createElement(ReliabilityDiagram, { data: formattedData, height: 400, width: 600 }); // render reliability diagram
         default:
           return null; // return null for any other graph type
       }
@@ -291,6 +303,8 @@ const Leaderboard = ({
         return pieData; // return pie chart data
       case 'donut':
         return donutData; // return donut chart data
+      case 'reliability':
+        return reliabilityData; // return reliability diagram data
       default:
         return []; // return empty array for any other graph type
     }
@@ -5,6 +5,37 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass';
 import { PencilLinesPass } from '../three/PencilLinesPass';
 import DynamicShape from '../three/DynamicShape';
+import constants from '../constants';
+import { getGameModeName } from '../gameModes';
+import { getAssistPolicyName } from '../assistPolicies';
+import { LABEL_CATEGORIES, DIFFICULTIES, filterLabels } from '../labels';
+
+const PLAYABLE_LABELS = Object.values(constants.LABELS).filter((label) => !constants.BANNED_LABELS.includes(label));
+
+// adds a value to a list, or removes it if it is already in there
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+// row of toggles for restricting the words to some categories or difficulties, none selected means all
+const FilterChips = ({ options, selected, onChange }) => {
+  return React.createElement(
+    'div',
+    { className: 'flex flex-wrap justify-center gap-1 mt-1' },
+    options.map((option) =>
+      React.createElement(
+        'button',
+        {
+          key: option,
+          type: 'button',
+          onClick: () => onChange(toggle(selected, option)),
+          className: `text-xs px-2 py-0.5 rounded-full border border-slate-300 text-[#555555] hover:opacity-80 ${
+            selected.includes(option) ? 'bg-[#b3cde3]' : 'bg-white'
+          }`,
+        },
+        option
+      )
+    )
+  );
+};
 
 // animation variants for the drop-in effect
 const dropIn = {
@@ -54,9 +85,68 @@ const EffectSetup = () => {
   return null;
 };
 
+// sums up the download progress of every file of a model
+const summarizeProgress = (files) => {
+  const entries = Object.entries(files);
+  const loaded = entries.reduce((acc, [, file]) => acc + file.loaded, 0);
+  const total = entries.reduce((acc, [, file]) => acc + file.total, 0);
+  const pending = entries.find(([, file]) => !file.done);
+  return {
+    percent: total > 0 ? Math.min(100, (100 * loaded) / total) : 0,
+    currentFile: pending ? pending[0] : null,
+    done: entries.length > 0 && !pending,
+  };
+};
+
+// progress bar showing how much of a model has been downloaded
+const ModelProgress = ({ name, files }) => {
+  const { percent, currentFile, done } = summarizeProgress(files);
+
+  return React.createElement(
+    'div',
+    { className: 'w-full mt-2' },
+    React.createElement(
+      'div',
+      { className: 'flex justify-between text-sm text-[#555555]' },
+      React.createElement('span', null, name),
+      React.createElement('span', null, done ? 'Ready' : `${percent.toFixed(0)}%`)
+    ),
+    React.createElement(
+      'div',
+      { className: 'w-full h-2 rounded-full bg-slate-200 overflow-hidden' },
+      React.createElement('div', {
+        className: 'h-full rounded-full transition-all duration-150',
+        style: { width: `${done ? 100 : percent}%`, backgroundColor: '#fdcdac' },
+      })
+    ),
+    currentFile && React.createElement(
+      'div',
+      { className: 'text-xs text-slate-500 truncate' },
+      currentFile
+    )
+  );
+};
+
 // menu component that displays the game menu with a 3d model, title, and buttons
-const Menu = ({ onClick, gameState, onLeaderboardClick }) => {
-  const buttonColors = ['#fdcdac', '#e8b5d6'];
+const Menu = ({
+  onClick,
+  gameState,
+  onLeaderboardClick,
+  loadingProgress = [],
+  errorMessage = null,
+  schedulingMode = constants.DEFAULT_SCHEDULING_MODE,
+  onSchedulingModeChange,
+  gameMode = constants.GAME_MODES[0],
+  onGameModeChange,
+  assistPolicy = constants.ASSIST_POLICIES[0],
+  onAssistPolicyChange,
+  onModelDrop,
+  onDailyClick,
+  wordFilter = { categories: [], difficulties: [] },
+  onWordFilterChange,
+}) => {
+  const buttonColors = ['#fdcdac', '#e8b5d6', '#b3cde3'];
+  const wordCount = filterLabels(PLAYABLE_LABELS, wordFilter).length;
 
   useEffect(() => {
     const handleContextLoss = (event) => {
@@ -126,7 +216,7 @@ const Menu = ({ onClick, gameState, onLeaderboardClick }) => {
           'button',
           {
             onClick: onClick,
-            disabled: gameState !== 'menu',
+            disabled: gameState !== 'menu' || wordCount === 0,
             type: 'button',
             style: { backgroundColor: buttonColors[0] },
             className: `text-md inline-flex items-center leading-5 shadow rounded-md text-[#555555] hover:opacity-80 transition ease-in-out duration-150 px-6 py-4 ${
@@ -163,6 +253,33 @@ const Menu = ({ onClick, gameState, onLeaderboardClick }) => {
               )
             : 'Play Game'
         ),
+        // load failures, retries and model swaps
+        errorMessage && React.createElement(
+          'p',
+          { className: 'w-64 mt-2 text-sm text-center text-red-500' },
+          errorMessage
+        ),
+        // per-model download progress while the networks are loading
+        gameState === 'loading' && React.createElement(
+          'div',
+          { className: 'w-64 mt-2' },
+          loadingProgress.map((model) =>
+            React.createElement(ModelProgress, { key: model.name, name: model.name, files: model.files })
+          )
+        ),
+        // same words and models for everyone today
+        onDailyClick && React.createElement(
+          'button',
+          {
+            onClick: onDailyClick,
+            disabled: gameState !== 'menu',
+            type: 'button',
+            style: { backgroundColor: buttonColors[2] },
+            className:
+              'text-md inline-flex items-center leading-6 shadow rounded-md text-[#555555] hover:opacity-80 transition ease-in-out duration-150 px-6 py-4 mt-4',
+          },
+          'Daily Challenge'
+        ),
         React.createElement(
           'button',
           {
@@ -173,6 +290,86 @@ const Menu = ({ onClick, gameState, onLeaderboardClick }) => {
               'text-md inline-flex items-center leading-6 shadow rounded-md text-[#555555] hover:opacity-80 transition ease-in-out duration-150 px-6 py-4 mt-4',
           },
           'Leaderboard'
+        ),
+        // toggle between independent and lockstep inference scheduling
+        onSchedulingModeChange && React.createElement(
+          'button',
+          {
+            onClick: () => {
+              const modes = constants.SCHEDULING_MODES;
+              onSchedulingModeChange(modes[(modes.indexOf(schedulingMode) + 1) % modes.length]);
+            },
+            disabled: gameState !== 'menu',
+            type: 'button',
+            title: schedulingMode === 'lockstep'
+              ? 'All models classify the same sketch together (pure accuracy)'
+              : 'Each model classifies as soon as it is free (speed matters)',
+            className: 'text-sm text-[#555555] underline mt-4 hover:opacity-80',
+          },
+          `Inference: ${schedulingMode}`
+        ),
+        // cycle through the game modes
+        onGameModeChange && React.createElement(
+          'button',
+          {
+            onClick: () => {
+              const modes = constants.GAME_MODES;
+              onGameModeChange(modes[(modes.indexOf(gameMode) + 1) % modes.length]);
+            },
+            disabled: gameState !== 'menu',
+            type: 'button',
+            title: `The daily challenge is always played as ${getGameModeName(constants.GAME_MODES[0])}`,
+            className: 'text-sm text-[#555555] underline mt-2 hover:opacity-80',
+          },
+          `Mode: ${getGameModeName(gameMode)}`
+        ),
+        // cycle through the ways the models are helped to recognize the word
+        onAssistPolicyChange && React.createElement(
+          'button',
+          {
+            onClick: () => {
+              const policies = constants.ASSIST_POLICIES;
+              onAssistPolicyChange(policies[(policies.indexOf(assistPolicy) + 1) % policies.length]);
+            },
+            disabled: gameState !== 'menu',
+            type: 'button',
+            title: 'Only matches without assistance are ranked, and the daily challenge is always played without it',
+            className: 'text-sm text-[#555555] underline mt-2 hover:opacity-80',
+          },
+          `Assist: ${getAssistPolicyName(assistPolicy)}`
+        ),
+        // restrict the words to some categories and difficulties (not used by the daily challenge)
+        onWordFilterChange && gameState === 'menu' && React.createElement(
+          'div',
+          { className: 'w-80 mt-2 flex flex-col items-center' },
+          React.createElement(FilterChips, {
+            options: Object.keys(LABEL_CATEGORIES),
+            selected: wordFilter.categories,
+            onChange: (categories) => onWordFilterChange({ ...wordFilter, categories }),
+          }),
+          React.createElement(FilterChips, {
+            options: DIFFICULTIES,
+            selected: wordFilter.difficulties,
+            onChange: (difficulties) => onWordFilterChange({ ...wordFilter, difficulties }),
+          }),
+          React.createElement(
+            'p',
+            { className: `text-xs mt-1 ${wordCount === 0 ? 'text-red-500' : 'text-slate-500'}` },
+            wordCount === 0 ? 'No words match these filters' : `${wordCount} words`
+          )
+        ),
+        // drop zone for duelling a model folder from disk (unranked)
+        onModelDrop && gameState === 'menu' && React.createElement(
+          'div',
+          {
+            onDragOver: (event) => event.preventDefault(),
+            onDrop: (event) => {
+              event.preventDefault();
+              onModelDrop(event.dataTransfer);
+            },
+            className: 'w-64 mt-4 px-4 py-3 text-xs text-center text-slate-500 border-2 border-dashed border-slate-300 rounded-md',
+          },
+          'Drop a model folder here to duel your own model (unranked)'
         )
       )
     )
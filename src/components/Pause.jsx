@@ -0,0 +1,69 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+/**
+ * Animation configuration for the drop-in effect.
+ */
+const dropIn = {
+  hidden: {
+    y: "-100vh",
+    transition: {
+      delay: 0.1,
+      type: "spring",
+      damping: 10,
+      stiffness: 100,
+    },
+  },
+  visible: {
+    y: "0",
+    opacity: 1,
+    transition: {
+      type: "spring",
+      damping: 10,
+      stiffness: 100,
+    },
+  },
+};
+
+/**
+ * Pause component covers the game while it is paused, the clock stands still until the player resumes.
+ * @param {Object} props - The component props.
+ * @param {Function} props.onResume - Called when the player wants to go on.
+ * @param {Function} props.onExit - Called when the player wants to stop the game.
+ * @returns {JSX.Element} The rendered Pause component.
+ */
+const Pause = ({ onResume, onExit }) => {
+  return (
+    React.createElement(motion.div, {
+      initial: 'hidden',
+      animate: 'visible',
+      variants: dropIn,
+      exit: 'hidden',
+      className: 'absolute w-full h-full flex justify-center items-center flex-col px-8 text-center bg-white/70',
+    },
+      React.createElement('h1', {
+        className: 'sm:text-7xl text-6xl mb-6 font-bold tracking-tight text-slate-900 text-center',
+      }, 'Paused'),
+      React.createElement('div', {
+        className: 'flex gap-4',
+      },
+        // resume button
+        React.createElement('button', {
+          onClick: onResume,
+          type: 'button',
+          className: 'inline-flex items-center px-4 py-2 font-semibold leading-6 shadow rounded-md text-[#555555]',
+          style: { backgroundColor: '#ff9980' }, // set button color to slightly darker pastel orange
+        }, 'Resume'),
+        // exit button
+        React.createElement('button', {
+          onClick: onExit,
+          type: 'button',
+          className: 'inline-flex items-center px-4 py-2 font-semibold leading-6 shadow rounded-md text-[#555555]',
+          style: { backgroundColor: '#fffb91' }, // set button color to slightly darker pastel yellow
+        }, 'Exit')
+      )
+    )
+  );
+};
+
+export default Pause;
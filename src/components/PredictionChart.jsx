@@ -5,9 +5,10 @@ import * as d3 from 'd3';
  * PredictionChart component that shows a bubble chart physics simulation every x predictions
  * @param {Object[]} predictions - Array of prediction objects, each with a label and score.
  * @param {number} i - Index to choose the color scheme.
+ * @param {number} rows - Number of charts stacked on the same side of the screen.
  * @returns {JSX.Element} - The SVG element with the chart.
  */
-const PredictionChart = ({ predictions, i }) => {
+const PredictionChart = ({ predictions, i, rows = 1 }) => {
   const chartRef = useRef(null); // reference to the SVG element
   const [simulation, setSimulation] = useState(null); // state to store the D3 simulation
 
@@ -16,7 +17,7 @@ const PredictionChart = ({ predictions, i }) => {
 
     // set chart size based on window size
     const width = window.innerWidth / 4; // make the width a quarter of the window width
-    const height = window.innerHeight; // make the height equal to the window height
+    const height = window.innerHeight / rows; // share the window height with the other charts on this side
     const minDimension = Math.min(width, height); // use the smaller dimension for sizing
 
     const range = window.innerWidth <= 768 ? [3, 90] : [minDimension * 0.025, minDimension * 0.4]; // different sizes for mobile
@@ -93,14 +94,14 @@ const PredictionChart = ({ predictions, i }) => {
       newSimulation.stop(); // stop simulation
       svg.selectAll('*').remove(); // clear svg
     };
-  }, [predictions]); // re-run effect when predictions change
+  }, [predictions, rows]); // re-run effect when predictions change
 
   // render the svg element with a ref to access it in the effect
   return React.createElement('svg', {
     ref: chartRef,
     className: 'object-none w-full h-full',
     width: window.innerWidth / 4,
-    height: window.innerHeight,
+    height: window.innerHeight / rows,
   });
 };
 
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from 'react';
+import Rough from 'roughjs/bundled/rough.esm';
+
+const COLORS = ['#e3968e', '#91a6bc', '#a8c6a0', '#b8a3bb', '#e6b87d', '#b8a690', '#e2b0c2', '#c9c9c9'];
+const MARGIN = { top: 40, right: 180, bottom: 50, left: 60 };
+
+/**
+ * ReliabilityDiagram component plots accuracy against confidence for every model, hand-drawn like the rest
+ * of the leaderboard. Points under the diagonal mean the model is overconfident.
+ * @param {Object} props - the component props
+ * @param {Array} props.data - one { name, curve } per model, curve being the points from reliabilityCurve
+ * @param {number} props.width - width of the chart in pixels
+ * @param {number} props.height - height of the chart in pixels
+ * @returns {JSX.Element} the rendered chart
+ */
+const ReliabilityDiagram = ({ data = [], width = 600, height = 400 }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    const roughCanvas = Rough.canvas(canvas);
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    // map confidence/accuracy (0 to 1) to canvas coordinates
+    const toX = (value) => MARGIN.left + value * plotWidth;
+    const toY = (value) => MARGIN.top + (1 - value) * plotHeight;
+
+    // axes and the diagonal of a perfectly calibrated model
+    roughCanvas.line(toX(0), toY(0), toX(1), toY(0), { stroke: 'grey', roughness: 1.5 });
+    roughCanvas.line(toX(0), toY(0), toX(0), toY(1), { stroke: 'grey', roughness: 1.5 });
+    roughCanvas.line(toX(0), toY(0), toX(1), toY(1), { stroke: '#c9c9c9', strokeLineDash: [8, 8], roughness: 1 });
+
+    ctx.font = '16px Virgil';
+    ctx.fillStyle = 'grey';
+    ctx.textAlign = 'center';
+    ctx.fillText('Reliability', width / 2, MARGIN.top / 2);
+    ctx.fillText('Confidence', toX(0.5), height - MARGIN.bottom / 3);
+    ctx.save();
+    ctx.translate(MARGIN.left / 3, toY(0.5));
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Accuracy', 0, 0);
+    ctx.restore();
+
+    data.forEach(({ name, curve }, i) => {
+      const color = COLORS[i % COLORS.length];
+      const points = curve.map((point) => [toX(point.confidence), toY(point.accuracy)]);
+      if (points.length > 1) {
+        roughCanvas.linearPath(points, { stroke: color, strokeWidth: 2, roughness: 1 });
+      }
+      points.forEach(([x, y]) => {
+        roughCanvas.circle(x, y, 8, { fill: color, fillStyle: 'solid', stroke: color, roughness: 1 });
+      });
+
+      // legend
+      const legendY = MARGIN.top + i * 22;
+      roughCanvas.rectangle(width - MARGIN.right + 20, legendY - 6, 12, 12, { fill: color, fillStyle: 'solid', stroke: color });
+      ctx.textAlign = 'left';
+      ctx.font = '12px Virgil';
+      ctx.fillText(name, width - MARGIN.right + 40, legendY + 4);
+    });
+  }, [data, width, height]);
+
+  return React.createElement('canvas', { ref: canvasRef, width, height });
+};
+
+export default ReliabilityDiagram;
@@ -8,7 +8,6 @@ const STOP_DRAW_EVENTS = ['mouseup', 'mouseout', 'touchend'];
 
 const THROTTLE_MS = 5;
 const CANVAS_SIZE = Math.max(window.screen.width, window.screen.height);
-const SKETCH_PADDING = 2;
 
 /**
  * adds event listeners to an element
@@ -181,7 +180,7 @@ function SketchCanvas({ onSketchChange, disabled }, ref) {
     let top = sketchBoundingBox[1];
     let width = sketchBoundingBox[2] - sketchBoundingBox[0];
     let height = sketchBoundingBox[3] - sketchBoundingBox[1];
-    let sketchSize = 2 * SKETCH_PADDING;
+    let sketchSize = 2 * constants.SKETCH_PADDING;
 
     if (width >= height) {
       sketchSize += width;
@@ -192,8 +191,8 @@ function SketchCanvas({ onSketchChange, disabled }, ref) {
     }
 
     const imgData = context.getImageData(
-      left - SKETCH_PADDING,
-      top - SKETCH_PADDING,
+      left - constants.SKETCH_PADDING,
+      top - constants.SKETCH_PADDING,
       sketchSize,
       sketchSize
     );
@@ -217,10 +216,50 @@ function SketchCanvas({ onSketchChange, disabled }, ref) {
     }
   }
 
+  /**
+   * draws a QuickDraw doodle in the middle of the screen, replacing what was on the canvas
+   * @param {Array} strokes - the strokes of the doodle ([[x0, x1, ...], [y0, y1, ...]] in a 256 x 256 box)
+   */
+  function drawStrokes(strokes) {
+    const canvas = canvasRef.current;
+    const context = contextRef.current;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    const size = Math.min(window.innerWidth, window.innerHeight) * constants.DOODLE_SIZE;
+    const scale = size / 256;
+    const left = (canvas.width - size) / 2;
+    const top = (canvas.height - size) / 2;
+    const brushRadius = constants.BRUSH_SIZE / 2;
+
+    let boundingBox = null;
+    strokes.forEach(function([xs, ys]) {
+      context.beginPath();
+      xs.forEach(function(x, i) {
+        const canvasX = left + x * scale;
+        const canvasY = top + ys[i] * scale;
+        if (i === 0) {
+          context.moveTo(canvasX, canvasY);
+        }
+        context.lineTo(canvasX, canvasY);
+        boundingBox = boundingBox === null
+          ? [canvasX - brushRadius, canvasY - brushRadius, canvasX + brushRadius, canvasY + brushRadius]
+          : [
+              Math.min(boundingBox[0], canvasX - brushRadius),
+              Math.min(boundingBox[1], canvasY - brushRadius),
+              Math.max(boundingBox[2], canvasX + brushRadius),
+              Math.max(boundingBox[3], canvasY + brushRadius),
+            ];
+      });
+      context.stroke();
+    });
+    setSketchBoundingBox(boundingBox);
+  }
+
   React.useImperativeHandle(ref, function() {
     return {
       getCanvasData: getCanvasData,
       clearCanvas: clearCanvas,
+      drawStrokes: drawStrokes,
       getTimeSpentDrawing: function() {
         return timeSpentDrawing;
       },
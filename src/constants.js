@@ -5,6 +5,14 @@ const IS_MOBILE = mobileTabletCheck();
 export default {
   DEFAULT_MODEL: "quickdraw-mobilevit-small",
   DEFAULT_QUANTIZED: false,
+  // Where the workers look for model weights:
+  // - "hub": download everything from the Hugging Face hub
+  // - "local": serve models from LOCAL_MODEL_PATH (see scripts/download-models.js),
+  //   falling back to the hub only when ALLOW_REMOTE_MODELS is true
+  MODEL_SOURCE: import.meta.env?.VITE_MODEL_SOURCE || "hub",
+  ALLOW_REMOTE_MODELS: import.meta.env?.VITE_ALLOW_REMOTE_MODELS !== "false",
+  LOCAL_MODEL_PATH: "/models/",
+  LOCAL_WASM_PATH: "/wasm/", // onnxruntime-web binaries, otherwise fetched from a CDN
   BANNED_LABELS: [
     // List of banned labels, because they are either:
     // - Too similar to other labels
@@ -25,13 +33,79 @@ export default {
   ],
   PREDICTION_REFRESH_TIME: 10,
   BRUSH_SIZE: IS_MOBILE ? 10 : 13,
+  SKETCH_PADDING: 2, // Empty border (in canvas pixels) kept around the sketch when it is cropped for the models
   TARGET_FPS: 60,
-  GAME_DURATION: 30 + 0.5, // + 0.5 so it doesn't flicker (TODO: change to 60)
+  GAME_DURATION: 30 + 0.5, // Default length of a time attack game, + 0.5 so it doesn't flicker
+  // Game modes to pick from in the menu (see gameModes.js), the first one is the default:
+  // - "time-attack": draw as many words as possible in `duration` seconds
+  // - "sudden-death": no overall clock, the first word no model gets within `wordDuration` seconds ends the run
+  // - "word-count": no clock, draw `words` words and the total time is measured
+  // - "guess-the-doodle": QuickDraw doodles are drawn stroke by stroke and the player races the models
+  //   to name them in `duration` seconds (unranked, needs `npm run doodles:download`)
+  GAME_MODES: [
+    { type: "time-attack", duration: 30 + 0.5 },
+    { type: "time-attack", duration: 60 + 0.5 },
+    { type: "sudden-death", wordDuration: 20 + 0.5 },
+    { type: "word-count", words: 10 },
+    { type: "guess-the-doodle", duration: 60 + 0.5 },
+  ],
+  DOODLE_PATH: "/doodles/", // QuickDraw doodles for guess-the-doodle mode (see scripts/download-doodles.js)
+  DOODLES_PER_LABEL: 20,
+  DOODLE_STROKE_INTERVAL: 700, // ms between the strokes of a doodle being drawn
+  DOODLE_SIZE: 0.5, // Size of a doodle on screen, relative to the smaller side of the window
   COUNTDOWN_TIMER: 5,
-  START_REJECT_THRESHOLD: 0.2, // How confident the model should be before starting to reject
-  REJECT_TIME_DELAY: 3 * 1000, // How many ms to wait before helping
-  REJECT_TIME_PER_LABEL: 3 * 1000, // How many ms to reject a label for after it's been drawn
+  RESUME_COUNTDOWN_TIMER: 3, // Countdown before a paused game goes on
+  // How the models are helped to recognize the word (see assistPolicies.js), the first one is the default
+  // and the only one that is ranked:
+  // - "none": no help
+  // - "rejection": reject the top labels once the model is `threshold` confident after `delay` ms of drawing,
+  //   one label every `timePerLabel` ms
+  // - "top-k": the word is recognized once it is among the `k` best labels
+  // - "confidence-gap": the word is recognized once it is at most `gap` behind the top label
+  ASSIST_POLICIES: [
+    { type: "none" },
+    { type: "rejection", threshold: 0.2, delay: 3 * 1000, timePerLabel: 3 * 1000 },
+    { type: "top-k", k: 3 },
+    { type: "confidence-gap", gap: 0.1 },
+  ],
+  // When a model has recognized the word (see recognition.js): the word has to be its top label with at least
+  // `minScore`, `minMargin` ahead of the runner-up, for `minFrames` classifications in a row held for `minHoldTime` ms
+  RECOGNITION_RULE: { minScore: 0.2, minMargin: 0, minFrames: 1, minHoldTime: 300 },
+  RECOGNITION_GAP_WINDOW: 1.5 * 1000, // How many ms the other models get to recognize a word after the first one did, to time the gap
   SKIP_PENALTY: 3 * 1000, // How much to penalize for skipping a drawing
+  MAX_LOAD_RETRIES: 2, // How many times to retry loading a model before swapping in a different one
+  // "independent": every model classifies the latest sketch as soon as it is idle (fast models get more tries)
+  // "lockstep": all models classify the same sketch together, paced by the slowest one
+  SCHEDULING_MODES: ["independent", "lockstep"],
+  DEFAULT_SCHEDULING_MODE: "independent",
+  // Test-time augmentation: a "model + TTA" contender classifies every sketch under each of these
+  // transforms and averages the label distributions. TTA contenders only join games when enabled.
+  ENABLE_TTA_CONTENDERS: import.meta.env?.VITE_ENABLE_TTA === "true",
+  TTA_TRANSFORMS: [
+    { flip: false, dx: 0, dy: 0, scale: 1 }, // the plain sketch
+    { flip: true, dx: 0, dy: 0, scale: 1 },
+    { flip: false, dx: 0.05, dy: 0, scale: 1 }, // shifts are a fraction of the sketch size
+    { flip: false, dx: -0.05, dy: 0, scale: 1 },
+    { flip: false, dx: 0, dy: 0.05, scale: 1 },
+    { flip: false, dx: 0, dy: -0.05, scale: 1 },
+    { flip: false, dx: 0, dy: 0, scale: 0.9 },
+    { flip: false, dx: 0, dy: 0, scale: 1.1 },
+  ],
+  // Ensembles join games as contenders of their own. Each member runs in its own worker and the label
+  // distributions are merged with "mean", "max" or "elo" (mean weighted by the members' leaderboard ratings).
+  ENSEMBLES: [
+    {
+      members: ["JoshuaKelleyDs/quickdraw-MobileVIT-xxs-finetune", "JoshuaKelleyDs/quickdraw-DeiT-tiny-finetune"],
+      merge: "mean",
+    },
+  ],
+  SALIENCY_GRID: 6, // Cells per side erased one at a time to explain a guess (up to 6 * 6 + 1 classifications per drawing)
+  INITIAL_ELO: 1200, // Rating of a contender the first time it shows up on the leaderboard
+  RATING_SYSTEM: "glicko2", // "glicko2" or "elo", see ratings.js
+  INITIAL_RATING_DEVIATION: 350, // Glicko-2 deviation of a contender without rated matches (also for rows rated before Glicko-2)
+  INITIAL_RATING_VOLATILITY: 0.06,
+  GLICKO2_TAU: 0.5, // How fast the volatility may change (0.3 to 1.2, lower is more conservative)
+  NUM_CONTENDERS: 2, // How many models duel each other in a game (free-for-all when > 2)
   LABELS: {
     // List of labels
     "0": "aircraft carrier",
@@ -389,6 +463,23 @@ export default {
     "JoshuaKelleyDs/quickdraw-ConvNeXT-Tiny-Finetune",
     "JoshuaKelleyDs/quickdraw-ConvNeXTV2-Tiny-Finetune",
   ],
+  // How each model expects its input, applied by the worker before the pipeline's own preprocessing.
+  // - invert: white background with dark strokes instead of dark background with bright strokes
+  // - padRatio: empty border added around the sketch, as a fraction of its size
+  // - targetSize: resize the sketch to this many pixels per side (null = leave it to the pipeline)
+  // - strokeWidth: thicken/thin strokes to this width in pixels at the final size (null = keep the brush size)
+  // - channels: 1 for grayscale, 3 to replicate the grayscale values into RGB
+  // Every model was fine-tuned on 28x28 single-channel QuickDraw bitmaps (see training_notebooks/).
+  PREPROCESSING: {
+    default: { invert: false, padRatio: 0, targetSize: null, strokeWidth: null, channels: 1 },
+    "JoshuaKelleyDs/quickdraw-MobileVIT-small-finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-MobileVIT-xxs-finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-DeiT-tiny-finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-MobileVITV2-2.0-Finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-MobileVITV2-1.0-Finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-ConvNeXT-Tiny-Finetune": { targetSize: 28 },
+    "JoshuaKelleyDs/quickdraw-ConvNeXTV2-Tiny-Finetune": { targetSize: 28 },
+  },
   MODELNAMEMAP: {
     "JoshuaKelleyDs/quickdraw-MobileVIT-small-finetune": "MobileVIT-V1-Small",
     "JoshuaKelleyDs/quickdraw-MobileVIT-xxs-finetune": "MobileVIT-V1-XXS",
@@ -417,7 +508,7 @@ export default {
       cellColor: '#f7f7f7',
     },
   ],
-  colNames: ['Id', 'Rank', 'Model', 'ELO', 'Avg Time', 'Params', 'Correct Guesses'],
+  colNames: ['Id', 'Rank', 'Model', 'Rating', 'Avg Time', 'Params', 'Correct Guesses', 'p50 Latency', 'p95 Latency', 'ECE'],
   chartOptionsArray: [
     {
       type: 'bar',
@@ -0,0 +1,126 @@
+import constants from './constants.js';
+
+// A contender is anything that can take part in a duel and get its own leaderboard row:
+// - a model from MODELPATHS, identified by its path
+// - a model classifying with test-time augmentation (TTA), identified by its path followed by TTA_SUFFIX
+// - an ensemble of models whose label distributions are merged, identified by
+//   ENSEMBLE_PREFIX + merge method + ':' + comma separated model paths
+// - a model loaded from disk at runtime, identified by CUSTOM_PREFIX + folder name
+const TTA_SUFFIX = '+tta';
+const ENSEMBLE_PREFIX = 'ensemble:';
+const CUSTOM_PREFIX = 'local/';
+
+// files of the models loaded from disk, keyed by contender id
+const customModels = new Map();
+
+/**
+ * Registers a model loaded from disk so it can join games next to the built-in models.
+ * @param {string} name - Name of the model folder.
+ * @param {Object} files - The model's files, keyed by their path inside the folder.
+ * @returns {string} - The contender id of the model.
+ */
+export const registerCustomModel = (name, files) => {
+  // a folder name with "+tta", ":" or "," would be read as a TTA variant or an ensemble, and a space
+  // would not survive the url the worker asks the files for
+  const id = `${CUSTOM_PREFIX}${name.replace(/[^\w.-]+/g, '-')}`;
+  customModels.set(id, files);
+  return id;
+};
+
+/**
+ * Gets the files of a model loaded from disk.
+ * @param {string} modelPath - The model path.
+ * @returns {Object|null} - The files, or null for models from the hub.
+ */
+export const getCustomModelFiles = (modelPath) => customModels.get(modelPath) ?? null;
+
+/**
+ * Checks whether a contender runs a model loaded from disk (those matches are never ranked).
+ * @param {string} id - The contender id.
+ * @returns {boolean}
+ */
+export const isCustomContender = (id) => getContenderModelPaths(id).some((modelPath) => modelPath.startsWith(CUSTOM_PREFIX));
+
+/**
+ * Splits a contender id into the models it runs and how their outputs are combined.
+ * @param {string} id - The contender id.
+ * @returns {Object} - { members: [{ modelPath, tta }], merge } (merge is null for single models).
+ */
+export const parseContender = (id) => {
+  if (id.startsWith(ENSEMBLE_PREFIX)) {
+    const [merge, memberList] = id.slice(ENSEMBLE_PREFIX.length).split(':');
+    return {
+      members: memberList.split(',').map((memberId) => parseContender(memberId).members[0]),
+      merge,
+    };
+  }
+  if (id.endsWith(TTA_SUFFIX)) {
+    return { members: [{ modelPath: id.slice(0, -TTA_SUFFIX.length), tta: true }], merge: null };
+  }
+  return { members: [{ modelPath: id, tta: false }], merge: null };
+};
+
+/**
+ * Gets the paths of every model a contender runs.
+ * @param {string} id - The contender id.
+ * @returns {string[]} - The model paths.
+ */
+export const getContenderModelPaths = (id) => parseContender(id).members.map((member) => member.modelPath);
+
+/**
+ * Gets the id of the TTA variant of a model.
+ * @param {string} modelPath - The model path.
+ * @returns {string} - The contender id.
+ */
+export const withTta = (modelPath) => `${modelPath}${TTA_SUFFIX}`;
+
+/**
+ * Gets the id of an ensemble.
+ * @param {string[]} modelPaths - The models in the ensemble.
+ * @param {string} merge - How their distributions are merged ('mean', 'max' or 'elo').
+ * @returns {string} - The contender id.
+ */
+export const ensembleId = (modelPaths, merge) => `${ENSEMBLE_PREFIX}${merge}:${modelPaths.join(',')}`;
+
+/**
+ * Gets the name a contender is shown with (and stored under on the leaderboard).
+ * @param {string} id - The contender id.
+ * @returns {string} - The display name.
+ */
+export const getContenderName = (id) => {
+  const { members, merge } = parseContender(id);
+  const names = members.map(({ modelPath, tta }) => {
+    const name = constants.MODELNAMEMAP[modelPath]
+      ?? (modelPath.startsWith(CUSTOM_PREFIX) ? `${modelPath.slice(CUSTOM_PREFIX.length)} (local)` : modelPath);
+    return tta ? `${name} + TTA` : name;
+  });
+  return merge ? `${names.join(' + ')} (${merge})` : names[0];
+};
+
+/**
+ * Gets the parameter count of a contender (the total of all its models for an ensemble).
+ * @param {string} id - The contender id.
+ * @returns {string} - The parameter count, e.g. "5.17M".
+ */
+export const getContenderParams = (id) => {
+  const params = getContenderModelPaths(id).map((modelPath) => constants.MODELPARAMS[modelPath]);
+  if (params.some((param) => param === undefined)) {
+    return '?';
+  }
+  if (params.length === 1) {
+    return params[0];
+  }
+  return `${params.reduce((acc, param) => acc + parseFloat(param), 0).toFixed(2)}M`;
+};
+
+/**
+ * Gets every contender that can be picked for a game.
+ * @returns {string[]} - The contender ids.
+ */
+export const getContenderPool = () => {
+  const ensembles = constants.ENSEMBLES.map(({ members, merge }) => ensembleId(members, merge));
+  if (!constants.ENABLE_TTA_CONTENDERS) {
+    return [...constants.MODELPATHS, ...ensembles];
+  }
+  return [...constants.MODELPATHS, ...constants.MODELPATHS.map(withTta), ...ensembles];
+};
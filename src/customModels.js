@@ -0,0 +1,89 @@
+// Models dropped in from disk: a transformers.js model folder (as exported by the notebooks in
+// training_notebooks/) that the worker reads from memory instead of downloading from the hub.
+const REQUIRED_FILES = ['config.json', 'preprocessor_config.json'];
+// transformers.js loads onnx/model.onnx, or onnx/model_quantized.onnx for quantized models
+const WEIGHT_FILES = ['onnx/model.onnx', 'onnx/model_quantized.onnx'];
+
+/**
+ * Reads every file below a directory entry of a drag and drop.
+ * @param {FileSystemDirectoryEntry} directory - The dropped directory.
+ * @param {string} prefix - Path of the directory relative to the dropped folder.
+ * @returns {Promise<Object>} - The files, keyed by their path relative to the dropped folder.
+ */
+const readDirectory = async (directory, prefix = '') => {
+  const reader = directory.createReader();
+  const entries = [];
+  // readEntries returns the entries in batches, until it returns an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    entries.push(...batch);
+  }
+
+  const files = {};
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      Object.assign(files, await readDirectory(entry, `${prefix}${entry.name}/`));
+    } else {
+      files[`${prefix}${entry.name}`] = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    }
+  }
+  return files;
+};
+
+/**
+ * Reads a model folder dropped onto the page and checks that transformers.js can load it.
+ * ONNX weights outside of an onnx/ subfolder are moved into one, which is where transformers.js looks for them,
+ * and a single ONNX file with a different name is used as onnx/model.onnx.
+ * @param {DataTransfer} dataTransfer - The data of the drop event.
+ * @returns {Promise<Object>} - { name, files }, files keyed by their path inside the model folder.
+ * @throws {Error} - If no folder was dropped or a required file is missing.
+ */
+export const readDroppedModel = async (dataTransfer) => {
+  const entry = [...dataTransfer.items]
+    .map((item) => item.webkitGetAsEntry?.())
+    .find((e) => e && e.isDirectory);
+  if (!entry) {
+    throw new Error('Drop a model folder (with config.json, preprocessor_config.json and ONNX weights)');
+  }
+
+  const files = {};
+  Object.entries(await readDirectory(entry)).forEach(([path, file]) => {
+    files[path.endsWith('.onnx') && !path.startsWith('onnx/') ? `onnx/${file.name}` : path] = file;
+  });
+
+  const weights = Object.keys(files).filter((path) => path.endsWith('.onnx'));
+  if (weights.length === 1 && !WEIGHT_FILES.includes(weights[0])) {
+    files['onnx/model.onnx'] = files[weights[0]];
+    delete files[weights[0]];
+  }
+
+  const missing = REQUIRED_FILES.filter((file) => !files[file]);
+  if (!WEIGHT_FILES.some((file) => files[file])) {
+    missing.push(weights.length > 1
+      ? `${WEIGHT_FILES.join(' or ')} (found ${weights.join(', ')})`
+      : WEIGHT_FILES.join(' or '));
+  }
+  if (missing.length > 0) {
+    throw new Error(`${entry.name} is missing ${missing.join(', ')}`);
+  }
+
+  return { name: entry.name, files };
+};
+
+/**
+ * Creates a transformers.js custom cache that answers requests for a model's files from memory.
+ * @param {string} modelPath - The id the model is loaded under.
+ * @param {Object} files - The model's files, keyed by their path inside the model folder.
+ * @returns {Object} - The cache ({ match, put }), for env.customCache.
+ */
+export const createFileCache = (modelPath, files) => ({
+  match: async (key) => {
+    // keys are either a local path (<modelPath>/<file>) or a hub url (<modelPath>/resolve/<revision>/<file>)
+    const marker = `${modelPath}/`;
+    const index = key.indexOf(marker);
+    const file = index === -1 ? null : files[key.slice(index + marker.length).replace(/^resolve\/[^/]+\//, '')];
+    return file ? new Response(file) : undefined;
+  },
+  put: async () => {}, // everything is in memory already
+});
@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
+import { latencyPercentile, formatLatency } from './latencyStats';
+import { expectedCalibrationError, formatCalibrationError } from './calibrationStats';
 
 const supabase = createClient(
   import.meta.env.VITE_SUPABASE_PROJECT_URL,
@@ -22,7 +24,14 @@ export const fetchLeaderboardData = async () => {
       item.elo,
       item.avg_time,
       item.params,
-      item.correct_guesses
+      item.correct_guesses,
+      formatLatency(latencyPercentile(item.latency_histogram, 0.5)),
+      formatLatency(latencyPercentile(item.latency_histogram, 0.95)),
+      formatCalibrationError(expectedCalibrationError(item.calibration_histogram)),
+      item.latency_histogram ?? null, // not displayed, used to merge the latency of new games
+      item.calibration_histogram ?? null, // not displayed, used for the reliability diagram and to merge new games
+      item.rating_deviation ?? null, // shown next to the rating, null for contenders never rated with Glicko-2
+      item.rating_volatility ?? null
     ]);
     return transformedData;
   } catch (error) {
@@ -31,25 +40,127 @@ export const fetchLeaderboardData = async () => {
   }
 };
 
+export const insertMatchResult = async (match) => {
+  try {
+    const { error } = await supabase
+      .from('matches')
+      .insert(match);
+
+    if (error) {
+      throw error;
+    }
+
+  } catch (error) {
+    console.error('Error recording match result:', error);
+  }
+};
+
+export const insertDailyResult = async (result) => {
+  try {
+    const { error } = await supabase
+      .from('daily_results')
+      .insert(result);
+
+    if (error) {
+      throw error;
+    }
+
+  } catch (error) {
+    console.error('Error recording daily challenge result:', error);
+  }
+};
+
+// best score first, ties go to whoever played first
+export const fetchDailyResults = async (challengeDate) => {
+  try {
+    const { data, error } = await supabase
+      .from('daily_results')
+      .select('player, score, words, played_at')
+      .eq('challenge_date', challengeDate)
+      .order('score', { ascending: false })
+      .order('played_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    console.error('Error fetching daily challenge results:', error);
+    return [];
+  }
+};
+
+// columns of the leaderboard table from before latency, calibration and rating deviation were stored
+const BASE_LEADERBOARD_COLUMNS = ['id', 'model', 'params', 'rank', 'elo', 'avg_time', 'correct_guesses'];
+
+// PostgREST reports a column the table doesn't have as PGRST204, Postgres itself as 42703
+const isMissingColumnError = (error) => error?.code === 'PGRST204' || error?.code === '42703';
+
+// writes the records, and if the database hasn't been migrated yet (see supabase/migrations)
+// writes them again with only the original columns, so ratings and correct guesses still persist
+const writeLeaderboard = async (write, records) => {
+  const result = await write(records);
+  if (!isMissingColumnError(result.error)) {
+    return result;
+  }
+  console.warn('The leaderboard table is missing columns, saving the original ones only:', result.error.message);
+  return write(records.map(record => Object.fromEntries(
+    Object.entries(record).filter(([column]) => BASE_LEADERBOARD_COLUMNS.includes(column))
+  )));
+};
+
+// rows without an id are contenders that have never been on the leaderboard, they are inserted
+// and the updated data is returned with the ids the database gave them
 export const updateLeaderboardData = async (updatedLeaderboardData) => {
   try {
-    const updates = updatedLeaderboardData.map(row => ({
-      id: row[0],
+    const toRecord = row => ({
       rank: row[1],
       elo: row[3],
       avg_time: row[4],
-      correct_guesses: row[6]
-    }));
+      correct_guesses: row[6],
+      latency_p50: latencyPercentile(row[10], 0.5),
+      latency_p95: latencyPercentile(row[10], 0.95),
+      latency_histogram: row[10],
+      calibration_ece: expectedCalibrationError(row[11]),
+      calibration_histogram: row[11],
+      rating_deviation: row[12],
+      rating_volatility: row[13]
+    });
+    const updates = updatedLeaderboardData
+      .filter(row => row[0] !== null)
+      .map(row => ({ id: row[0], ...toRecord(row) }));
+    const inserts = updatedLeaderboardData
+      .filter(row => row[0] === null)
+      .map(row => ({ model: row[2], params: row[5], ...toRecord(row) }));
 
-    const { data, error } = await supabase
-      .from('leaderboard')
-      .upsert(updates, { onConflict: ['id'] });
+    const { error } = await writeLeaderboard(
+      records => supabase.from('leaderboard').upsert(records, { onConflict: ['id'] }),
+      updates
+    );
 
     if (error) {
       throw error;
     }
 
+    if (inserts.length === 0) {
+      return updatedLeaderboardData;
+    }
+
+    const { data: inserted, error: insertError } = await writeLeaderboard(
+      records => supabase.from('leaderboard').insert(records).select('id, model'),
+      inserts
+    );
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    return updatedLeaderboardData.map(row => {
+      const insertedRow = row[0] === null && inserted.find(item => item.model === row[2]);
+      return insertedRow ? [insertedRow.id, ...row.slice(1)] : row;
+    });
   } catch (error) {
     console.error('Error updating leaderboard data:', error);
+    return updatedLeaderboardData;
   }
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+import constants from './constants.js';
+
+// QuickDraw doodles for guess-the-doodle mode, served from public/doodles (see scripts/download-doodles.js).
+// Every label has its own .ndjson file with one { drawing } per line, a drawing being a list of
+// strokes [[x0, x1, ...], [y0, y1, ...]] in a 256 x 256 box.
+
+const doodleCache = new Map();
+
+/**
+ * Lists the labels that have doodles.
+ * @returns {Promise<string[]>} - The labels, empty if the doodles have not been downloaded.
+ */
+export const fetchDoodleLabels = async () => {
+  try {
+    const response = await fetch(`${constants.DOODLE_PATH}index.json`);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn('No doodles for guess-the-doodle mode:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Picks a random doodle of a label.
+ * @param {string} label - The label.
+ * @param {Function} random - Source of random numbers in [0, 1).
+ * @returns {Promise<Array>} - The strokes of the doodle.
+ */
+export const fetchDoodle = async (label, random = Math.random) => {
+  if (!doodleCache.has(label)) {
+    const response = await fetch(`${constants.DOODLE_PATH}${encodeURIComponent(label)}.ndjson`);
+    if (!response.ok) {
+      throw new Error(`Failed to load the doodles of ${label}: ${response.status} ${response.statusText}`);
+    }
+    const text = await response.text();
+    doodleCache.set(label, text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line).drawing));
+  }
+
+  const doodles = doodleCache.get(label);
+  if (doodles.length === 0) {
+    throw new Error(`There are no doodles of ${label}`);
+  }
+  return doodles[Math.floor(random() * doodles.length)];
+};
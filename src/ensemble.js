@@ -0,0 +1,32 @@
+/**
+ * Merges the label distributions of the models in an ensemble.
+ * - mean: (weighted) mean probability of each label
+ * - max: highest probability any model gave each label, renormalized
+ * - elo: mean weighted by each model's expected strength on the leaderboard (10^(elo / 400))
+ * @param {Array<Array<{label: string, score: number}>>} outputs - One distribution per model.
+ * @param {string} merge - 'mean', 'max' or 'elo'.
+ * @param {number[]|null} elos - Leaderboard rating of each model, used by 'elo'.
+ * @returns {Array<{label: string, score: number}>} - The merged distribution, sorted by score.
+ */
+export const mergeDistributions = (outputs, merge, elos = null) => {
+  let weights = outputs.map(() => 1);
+  if (merge === 'elo' && elos && elos.every((elo) => typeof elo === 'number')) {
+    // relative to the best model, to keep the powers in range
+    const best = Math.max(...elos);
+    weights = elos.map((elo) => Math.pow(10, (elo - best) / 400));
+  }
+  const totalWeight = weights.reduce((acc, weight) => acc + weight, 0);
+
+  const merged = new Map();
+  outputs.forEach((output, i) => {
+    output.forEach(({ label, score }) => {
+      const previous = merged.get(label) ?? 0;
+      merged.set(label, merge === 'max' ? Math.max(previous, score) : previous + (weights[i] * score) / totalWeight);
+    });
+  });
+
+  const total = [...merged.values()].reduce((acc, score) => acc + score, 0);
+  return [...merged.entries()]
+    .map(([label, score]) => ({ label, score: total > 0 ? score / total : 0 }))
+    .sort((a, b) => b.score - a.score);
+};
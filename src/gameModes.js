@@ -0,0 +1,70 @@
+import constants from './constants.js';
+
+// A game mode decides when a game is over. The GameSession asks it:
+// - getTimeLeft(session): seconds left on the clock shown to the player, or null if there is no clock
+// - isOver(session): whether the game is over after a word was guessed or skipped
+// When the clock runs out the word being drawn is lost and the game is over.
+// In guess-the-doodle mode the roles are reversed: QuickDraw doodles are drawn for the player, who races
+// the models to name them. It is played against the clock like time attack.
+
+const timeAttack = ({ duration = constants.GAME_DURATION }) => ({
+  getTimeLeft: (session) => Math.max(duration - session.getElapsedTime(), 0),
+  isOver: () => false,
+});
+
+const suddenDeath = ({ wordDuration }) => ({
+  getTimeLeft: (session) => Math.max(wordDuration - (session.currentTime - session.wordStartTime) / 1000, 0),
+  isOver: (session) => session.predictions.some((p) => !p.correct),
+});
+
+const wordCount = ({ words }) => ({
+  getTimeLeft: () => null,
+  isOver: (session) => session.predictions.length >= words,
+});
+
+const GAME_MODE_RULES = {
+  'time-attack': timeAttack,
+  'sudden-death': suddenDeath,
+  'word-count': wordCount,
+  'guess-the-doodle': timeAttack,
+};
+
+/**
+ * Whether the player guesses doodles instead of drawing them.
+ * @param {Object|null} gameMode - The mode and its settings.
+ * @returns {boolean}
+ */
+export const isReverseMode = (gameMode) => gameMode?.type === 'guess-the-doodle';
+
+/**
+ * Creates the rules of a game mode.
+ * @param {Object} gameMode - The mode and its settings, one of constants.GAME_MODES.
+ * @returns {Object} - { getTimeLeft, isOver }
+ */
+export const createGameMode = (gameMode) => {
+  const rules = GAME_MODE_RULES[gameMode.type];
+  if (!rules) {
+    throw new Error(`Unknown game mode: ${gameMode.type}`);
+  }
+  return rules(gameMode);
+};
+
+/**
+ * Describes a game mode for the menu.
+ * @param {Object} gameMode - The mode and its settings.
+ * @returns {string} - E.g. "Time attack (30s)".
+ */
+export const getGameModeName = (gameMode) => {
+  switch (gameMode.type) {
+    case 'time-attack':
+      return `Time attack (${Math.floor(gameMode.duration)}s)`;
+    case 'sudden-death':
+      return `Sudden death (${Math.floor(gameMode.wordDuration)}s per word)`;
+    case 'word-count':
+      return `${gameMode.words} words`;
+    case 'guess-the-doodle':
+      return `Guess the doodle (${Math.floor(gameMode.duration)}s)`;
+    default:
+      return gameMode.type;
+  }
+};
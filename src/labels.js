@@ -0,0 +1,167 @@
+// What kind of thing every label is, how hard it is to draw and, for some, why it is easily
+// confused with other labels. Used to build games around a theme ("animals only") or a level.
+
+export const LABEL_CATEGORIES = {
+  animals: [
+    'animal migration', 'ant', 'bat', 'bear', 'bee', 'bird', 'butterfly', 'camel', 'cat', 'cow', 'crab',
+    'crocodile', 'dog', 'dolphin', 'duck', 'elephant', 'fish', 'flamingo', 'frog', 'giraffe', 'hedgehog',
+    'horse', 'kangaroo', 'lion', 'lobster', 'monkey', 'mosquito', 'mouse', 'octopus', 'owl', 'panda',
+    'parrot', 'penguin', 'pig', 'rabbit', 'raccoon', 'rhinoceros', 'scorpion', 'sea turtle', 'shark',
+    'sheep', 'snail', 'snake', 'spider', 'squirrel', 'swan', 'tiger', 'whale', 'zebra',
+  ],
+  food: [
+    'apple', 'asparagus', 'banana', 'birthday cake', 'blackberry', 'blueberry', 'bread', 'broccoli', 'cake',
+    'carrot', 'cookie', 'donut', 'grapes', 'hamburger', 'hot dog', 'ice cream', 'lollipop', 'mushroom',
+    'onion', 'peanut', 'pear', 'peas', 'pineapple', 'pizza', 'popsicle', 'potato', 'sandwich', 'steak',
+    'strawberry', 'string bean', 'watermelon',
+  ],
+  vehicles: [
+    'aircraft carrier', 'airplane', 'ambulance', 'bicycle', 'bulldozer', 'bus', 'canoe', 'car', 'cruise ship',
+    'firetruck', 'flying saucer', 'helicopter', 'hot air balloon', 'motorbike', 'parachute', 'pickup truck',
+    'police car', 'sailboat', 'school bus', 'speedboat', 'submarine', 'tractor', 'train', 'truck', 'van',
+    'wheel',
+  ],
+  household: [
+    'alarm clock', 'bathtub', 'bed', 'bucket', 'candle', 'ceiling fan', 'chair', 'chandelier', 'clock',
+    'coffee cup', 'cooler', 'couch', 'cup', 'dishwasher', 'door', 'dresser', 'fan', 'fireplace', 'floor lamp',
+    'fork', 'frying pan', 'hot tub', 'hourglass', 'house plant', 'key', 'knife', 'lantern', 'light bulb',
+    'lighter', 'matches', 'microwave', 'mug', 'oven', 'picture frame', 'pillow', 'power outlet', 'sink',
+    'sleeping bag', 'spoon', 'stove', 'table', 'teapot', 'teddy-bear', 'toaster', 'toilet', 'toothbrush',
+    'toothpaste', 'umbrella', 'vase', 'washing machine', 'wine bottle', 'wine glass',
+  ],
+  clothing: [
+    'backpack', 'belt', 'bowtie', 'bracelet', 'camouflage', 'crown', 'diamond', 'eyeglasses', 'flip flops',
+    'hat', 'helmet', 'jacket', 'lipstick', 'necklace', 'pants', 'purse', 'shoe', 'shorts', 'sock',
+    'suitcase', 'sweater', 't-shirt', 'underwear', 'wristwatch',
+  ],
+  body: [
+    'arm', 'beard', 'brain', 'ear', 'elbow', 'eye', 'face', 'finger', 'foot', 'goatee', 'hand', 'knee', 'leg',
+    'moustache', 'mouth', 'nose', 'skull', 'smiley face', 'toe', 'tooth',
+  ],
+  nature: [
+    'beach', 'bush', 'cactus', 'cloud', 'feather', 'flower', 'garden', 'grass', 'hurricane', 'leaf',
+    'lightning', 'moon', 'mountain', 'ocean', 'palm tree', 'pond', 'rain', 'rainbow', 'river', 'snowflake',
+    'star', 'sun', 'tornado', 'tree',
+  ],
+  places: [
+    'barn', 'bench', 'bridge', 'campfire', 'castle', 'church', 'diving board', 'fence', 'fire hydrant',
+    'hospital', 'house', 'jail', 'lighthouse', 'mailbox', 'pool', 'roller coaster', 'see saw', 'skyscraper',
+    'stairs', 'stop sign', 'streetlight', 'swing set', 'tent', 'The Eiffel Tower', 'The Great Wall of China',
+    'The Mona Lisa', 'traffic light', 'waterslide', 'windmill',
+  ],
+  tools: [
+    'anvil', 'axe', 'bandage', 'binoculars', 'book', 'bottlecap', 'broom', 'calculator', 'calendar', 'cannon',
+    'compass', 'crayon', 'drill', 'envelope', 'eraser', 'flashlight', 'garden hose', 'hammer', 'ladder',
+    'map', 'marker', 'megaphone', 'nail', 'paint can', 'paintbrush', 'paper clip', 'passport', 'pencil',
+    'pliers', 'postcard', 'rake', 'rifle', 'saw', 'scissors', 'screwdriver', 'shovel', 'stethoscope',
+    'sword', 'syringe',
+  ],
+  electronics: [
+    'camera', 'cell phone', 'computer', 'headphones', 'keyboard', 'laptop', 'microphone', 'radio',
+    'remote control', 'spreadsheet', 'stereo', 'telephone', 'television',
+  ],
+  music: [
+    'cello', 'clarinet', 'drums', 'guitar', 'harp', 'piano', 'saxophone', 'trombone', 'trumpet', 'violin',
+  ],
+  sports: [
+    'baseball', 'baseball bat', 'basket', 'basketball', 'boomerang', 'dumbbell', 'golf club', 'hockey puck',
+    'hockey stick', 'rollerskates', 'skateboard', 'snorkel', 'soccer ball', 'tennis racquet', 'yoga',
+  ],
+  fantasy: ['angel', 'dragon', 'mermaid', 'snowman'],
+  shapes: [
+    'circle', 'hexagon', 'line', 'octagon', 'square', 'squiggle', 'stitches', 'triangle', 'zigzag',
+  ],
+};
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// everything that is neither easy nor hard is medium
+const EASY_LABELS = [
+  'apple', 'banana', 'basketball', 'book', 'bowtie', 'bridge', 'butterfly', 'candle', 'carrot', 'circle',
+  'clock', 'cloud', 'cookie', 'crown', 'cup', 'diamond', 'donut', 'door', 'envelope', 'eye', 'eyeglasses',
+  'fence', 'fish', 'flower', 'fork', 'grapes', 'grass', 'hat', 'hourglass', 'house', 'ice cream', 'key',
+  'ladder', 'leaf', 'light bulb', 'lightning', 'line', 'lollipop', 'moon', 'mountain', 'mushroom', 'pants',
+  'pear', 'popsicle', 'rain', 'rainbow', 'smiley face', 'snail', 'snake', 'snowflake', 'snowman',
+  'soccer ball', 'sock', 'spider', 'spoon', 'square', 'stairs', 'star', 'sun', 't-shirt', 'table', 'tent',
+  'tree', 'triangle', 'umbrella', 'wheel', 'zigzag',
+];
+
+const HARD_LABELS = [
+  'aircraft carrier', 'animal migration', 'anvil', 'arm', 'asparagus', 'barn', 'beach', 'blackberry',
+  'blueberry', 'bottlecap', 'brain', 'bulldozer', 'calculator', 'calendar', 'camouflage', 'cello',
+  'chandelier', 'church', 'clarinet', 'compass', 'cooler', 'crayon', 'dishwasher', 'diving board', 'dragon',
+  'dresser', 'drill', 'elbow', 'fireplace', 'floor lamp', 'garden', 'garden hose', 'goatee', 'hedgehog',
+  'hexagon', 'hospital', 'hot tub', 'hurricane', 'jail', 'kangaroo', 'knee', 'leg', 'lighter', 'lipstick',
+  'lobster', 'map', 'marker', 'matches', 'megaphone', 'mermaid', 'microwave', 'mosquito', 'ocean',
+  'octagon', 'onion', 'oven', 'paint can', 'passport', 'peanut', 'pliers', 'pond', 'postcard', 'potato',
+  'power outlet', 'raccoon', 'remote control', 'rhinoceros', 'river', 'saxophone', 'scorpion', 'see saw',
+  'sleeping bag', 'spreadsheet', 'squiggle', 'squirrel', 'steak', 'stereo', 'stethoscope', 'stitches',
+  'string bean', 'sweater', 'The Great Wall of China', 'The Mona Lisa', 'toaster', 'toe', 'trombone', 'van',
+  'washing machine', 'waterslide', 'yoga',
+];
+
+// labels that are easily mistaken for others (see also BANNED_LABELS in constants.js)
+const AMBIGUITY_NOTES = {
+  'alarm clock': 'similar to "clock"',
+  arm: 'similar to "elbow" and "leg"',
+  barn: 'similar to "house" and other buildings',
+  bat: 'animal or sports equipment',
+  blackberry: 'similar to "blueberry" and "grapes"',
+  blueberry: 'similar to "blackberry" and "grapes"',
+  bus: 'similar to "school bus"',
+  circle: 'detected as "octagon" when scaled down',
+  clock: 'similar to "alarm clock" and "wristwatch"',
+  'coffee cup': 'similar to "mug" and "cup"',
+  cup: 'similar to "mug" and "coffee cup"',
+  fan: 'similar to "ceiling fan"',
+  hexagon: 'similar to "octagon"',
+  keyboard: 'computer or piano keyboard',
+  knee: 'similar to "elbow" and "leg"',
+  line: 'similar to "squiggle" and "zigzag"',
+  mouse: 'animal or computer mouse',
+  mug: 'similar to "cup" and "coffee cup"',
+  'pickup truck': 'similar to "truck"',
+  pond: 'similar to "pool"',
+  pool: 'similar to "pond"',
+  'school bus': 'similar to "bus"',
+  square: 'similar to "picture frame"',
+  stitches: 'similar to "zigzag" and "lightning"',
+  sweater: 'similar to "jacket"',
+  truck: 'similar to "pickup truck" and "van"',
+  van: 'similar to "truck" and other vehicles',
+  wristwatch: 'similar to "clock"',
+};
+
+const LABEL_INFO = Object.fromEntries(
+  Object.entries(LABEL_CATEGORIES).flatMap(([category, labels]) =>
+    labels.map((label) => [label, {
+      category,
+      difficulty: EASY_LABELS.includes(label) ? 'easy' : HARD_LABELS.includes(label) ? 'hard' : 'medium',
+      note: AMBIGUITY_NOTES[label] ?? null,
+    }])
+  )
+);
+
+/**
+ * Gets the metadata of a label.
+ * @param {string} label - The label.
+ * @returns {Object|null} - { category, difficulty, note }, or null for an unknown label.
+ */
+export const getLabelInfo = (label) => LABEL_INFO[label] ?? null;
+
+/**
+ * Keeps the labels of the given categories and difficulties.
+ * @param {string[]} labels - The labels to filter.
+ * @param {Object} filter - { categories, difficulties }, an empty (or missing) list allows everything.
+ * @returns {string[]} - The labels that pass the filter.
+ */
+export const filterLabels = (labels, { categories = [], difficulties = [] } = {}) => {
+  return labels.filter((label) => {
+    const info = getLabelInfo(label);
+    if (!info) {
+      return categories.length === 0 && difficulties.length === 0;
+    }
+    return (categories.length === 0 || categories.includes(info.category))
+      && (difficulties.length === 0 || difficulties.includes(info.difficulty));
+  });
+};
@@ -0,0 +1,58 @@
+// Per-model inference latency is kept as a histogram with log-spaced buckets, so percentiles can be
+// merged across games without storing every sample. Bucket i holds latencies below LATENCY_BUCKETS[i] ms,
+// the last bucket catches everything slower.
+export const LATENCY_BUCKETS = Array.from({ length: 61 }, (_, i) => Math.pow(2, i / 4));
+
+/**
+ * Creates an empty latency histogram.
+ * @returns {number[]} - One count per bucket plus an overflow bucket.
+ */
+export const createLatencyHistogram = () => new Array(LATENCY_BUCKETS.length + 1).fill(0);
+
+/**
+ * Adds latency samples to a histogram.
+ * @param {number[]|null} histogram - The histogram to add to (left untouched).
+ * @param {number[]} samples - Latencies in milliseconds.
+ * @returns {number[]} - The updated histogram.
+ */
+export const addToLatencyHistogram = (histogram, samples) => {
+  const updated = histogram && histogram.length === LATENCY_BUCKETS.length + 1
+    ? [...histogram]
+    : createLatencyHistogram();
+
+  samples.forEach((sample) => {
+    const index = LATENCY_BUCKETS.findIndex((edge) => sample < edge);
+    updated[index === -1 ? LATENCY_BUCKETS.length : index] += 1;
+  });
+
+  return updated;
+};
+
+/**
+ * Estimates a percentile from a histogram, using the upper edge of the bucket it falls in.
+ * @param {number[]|null} histogram - The histogram.
+ * @param {number} p - The percentile, between 0 and 1.
+ * @returns {number|null} - The latency in milliseconds, or null if the histogram is empty.
+ */
+export const latencyPercentile = (histogram, p) => {
+  const total = histogram ? histogram.reduce((acc, count) => acc + count, 0) : 0;
+  if (total === 0) {
+    return null;
+  }
+
+  let cumulative = 0;
+  for (let i = 0; i < histogram.length; ++i) {
+    cumulative += histogram[i];
+    if (cumulative >= p * total) {
+      return LATENCY_BUCKETS[Math.min(i, LATENCY_BUCKETS.length - 1)];
+    }
+  }
+  return LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1];
+};
+
+/**
+ * Formats a latency for the leaderboard table.
+ * @param {number|null} latency - The latency in milliseconds.
+ * @returns {string} - The formatted latency, or '-' if there is no data yet.
+ */
+export const formatLatency = (latency) => (latency === null ? '-' : `${Math.round(latency)} ms`);
@@ -0,0 +1,111 @@
+import { RawImage } from "@xenova/transformers";
+import constants from "./constants.js";
+
+/**
+ * Gets the preprocessing spec of a model, falling back to the defaults for anything it doesn't set.
+ * @param {string} modelName - Name of the model.
+ * @returns {Object} - The spec ({ invert, padRatio, targetSize, strokeWidth, channels }).
+ */
+export const getPreprocessingSpec = (modelName) => ({
+    ...constants.PREPROCESSING.default,
+    ...(constants.PREPROCESSING[modelName] ?? {}),
+});
+
+/**
+ * Converts rgba to grayscale, choosing based on the alpha channel (strokes are opaque, the background is transparent).
+ * @param {ImageData} imageData - The sketch from the canvas.
+ * @returns {Uint8ClampedArray} - One byte per pixel.
+ */
+const alphaToGrayscale = (imageData) => {
+    const data = new Uint8ClampedArray(imageData.data.length / 4);
+    for (let i = 0; i < data.length; ++i) {
+        data[i] = imageData.data[i * 4 + 3];
+    }
+    return data;
+};
+
+/**
+ * Adds an empty border around a grayscale image.
+ * @returns {Object} - The padded pixels and their dimensions.
+ */
+const pad = (data, width, height, padding) => {
+    const paddedWidth = width + 2 * padding;
+    const paddedHeight = height + 2 * padding;
+    const padded = new Uint8ClampedArray(paddedWidth * paddedHeight);
+    for (let y = 0; y < height; ++y) {
+        padded.set(data.subarray(y * width, (y + 1) * width), (y + padding) * paddedWidth + padding);
+    }
+    return { data: padded, width: paddedWidth, height: paddedHeight };
+};
+
+/**
+ * Thickens (steps > 0) or thins (steps < 0) strokes by one pixel on each side per step,
+ * using a 3x3 max (dilation) or min (erosion) filter.
+ */
+const adjustStrokeWidth = (data, width, height, steps) => {
+    const reduce = steps > 0 ? Math.max : Math.min;
+    let current = data;
+    for (let step = 0; step < Math.abs(steps); ++step) {
+        const next = new Uint8ClampedArray(current.length);
+        for (let y = 0; y < height; ++y) {
+            for (let x = 0; x < width; ++x) {
+                let value = current[y * width + x];
+                for (let dy = -1; dy <= 1; ++dy) {
+                    for (let dx = -1; dx <= 1; ++dx) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        // pixels outside the image count as background
+                        const neighbour = nx < 0 || ny < 0 || nx >= width || ny >= height ? 0 : current[ny * width + nx];
+                        value = reduce(value, neighbour);
+                    }
+                }
+                next[y * width + x] = value;
+            }
+        }
+        current = next;
+    }
+    return current;
+};
+
+/**
+ * Turns a sketch from the canvas into the input a model expects, following its preprocessing spec.
+ * With the default spec this is just the alpha channel as a single-channel image.
+ * @param {ImageData} imageData - The sketch from the canvas.
+ * @param {Object} spec - The preprocessing spec of the model (see constants.PREPROCESSING).
+ * @returns {Promise<RawImage>} - The image to feed to the pipeline.
+ */
+export const preprocessSketch = async (imageData, spec) => {
+    let data = alphaToGrayscale(imageData);
+    let width = imageData.width;
+    let height = imageData.height;
+
+    if (spec.padRatio > 0) {
+        ({ data, width, height } = pad(data, width, height, Math.round(spec.padRatio * Math.max(width, height))));
+    }
+
+    let image = new RawImage(data, width, height, 1);
+    let scale = 1;
+
+    if (spec.targetSize) {
+        scale = spec.targetSize / Math.max(width, height);
+        image = (await image.resize(spec.targetSize, spec.targetSize)).grayscale();
+    }
+
+    if (spec.strokeWidth) {
+        // strokes are drawn with the brush size on the canvas, so their width after resizing is known
+        const steps = Math.round((spec.strokeWidth - constants.BRUSH_SIZE * scale) / 2);
+        if (steps !== 0) {
+            image = new RawImage(adjustStrokeWidth(image.data, image.width, image.height, steps), image.width, image.height, 1);
+        }
+    }
+
+    if (spec.invert) {
+        image = new RawImage(image.data.map((value) => 255 - value), image.width, image.height, 1);
+    }
+
+    if (spec.channels === 3) {
+        image = image.rgb();
+    }
+
+    return image;
+};
@@ -0,0 +1,76 @@
+import constants from "./constants.js";
+
+// stroke color of SketchCanvas (the models only look at the alpha channel)
+const STROKE_COLOR = [0x36, 0x45, 0x4f];
+
+/**
+ * Distance from a point to a line segment.
+ */
+const distanceToSegment = (px, py, x0, y0, x1, y1) => {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / lengthSquared));
+    return Math.hypot(px - (x0 + t * dx), py - (y0 + t * dy));
+};
+
+/**
+ * Draws QuickDraw strokes the way SketchCanvas does (round caps and joins, BRUSH_SIZE wide, anti-aliased edges)
+ * and crops them the way getCanvasData does (square around the bounding box, SKETCH_PADDING on each side).
+ * @param {Array} strokes - The strokes of a QuickDraw drawing, each [xs, ys] (timestamps are ignored).
+ * @param {Object} options - { scale, brushSize }, scale converts QuickDraw units to canvas pixels.
+ * @returns {Object|null} - The sketch, with the same shape as ImageData ({ data, width, height }), or null if empty.
+ */
+export const rasterizeStrokes = (strokes, { scale = 1, brushSize = constants.BRUSH_SIZE } = {}) => {
+    const points = strokes.map(([xs, ys]) => xs.map((x, i) => [x * scale, ys[i] * scale]));
+    const allPoints = points.flat();
+    if (allPoints.length === 0) {
+        return null;
+    }
+
+    // bounding box of the strokes, including the brush
+    const radius = brushSize / 2;
+    let left = Math.min(...allPoints.map(([x]) => x)) - radius;
+    let top = Math.min(...allPoints.map(([, y]) => y)) - radius;
+    const width = Math.max(...allPoints.map(([x]) => x)) + radius - left;
+    const height = Math.max(...allPoints.map(([, y]) => y)) + radius - top;
+
+    // center the sketch in a square, like getCanvasData
+    const padding = constants.SKETCH_PADDING;
+    const size = Math.round(Math.max(width, height) + 2 * padding);
+    if (width >= height) {
+        top -= (width - height) / 2;
+    } else {
+        left -= (height - width) / 2;
+    }
+    const offsetX = left - padding;
+    const offsetY = top - padding;
+
+    const data = new Uint8ClampedArray(size * size * 4);
+    points.forEach((stroke) => {
+        // a single point is drawn as a dot, like a click on the canvas
+        const segments = stroke.length === 1 ? [[stroke[0], stroke[0]]] : stroke.slice(1).map((point, i) => [stroke[i], point]);
+        segments.forEach(([[x0, y0], [x1, y1]]) => {
+            const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius - offsetX - 1));
+            const maxX = Math.min(size - 1, Math.ceil(Math.max(x0, x1) + radius - offsetX + 1));
+            const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius - offsetY - 1));
+            const maxY = Math.min(size - 1, Math.ceil(Math.max(y0, y1) + radius - offsetY + 1));
+            for (let y = minY; y <= maxY; ++y) {
+                for (let x = minX; x <= maxX; ++x) {
+                    // coverage of the pixel, measured from its center
+                    const distance = distanceToSegment(x + 0.5 + offsetX, y + 0.5 + offsetY, x0, y0, x1, y1);
+                    const alpha = Math.round(Math.max(0, Math.min(1, radius + 0.5 - distance)) * 255);
+                    const index = (y * size + x) * 4;
+                    if (alpha > data[index + 3]) {
+                        data[index] = STROKE_COLOR[0];
+                        data[index + 1] = STROKE_COLOR[1];
+                        data[index + 2] = STROKE_COLOR[2];
+                        data[index + 3] = alpha;
+                    }
+                }
+            }
+        });
+    });
+
+    return { data, width: size, height: size };
+};
@@ -0,0 +1,145 @@
+import constants from './constants.js';
+
+// Leaderboard ratings. Every ranked match is a rating period in which each contender played every
+// other contender once (1 for more correct guesses, 0.5 for a tie, 0 for fewer).
+// - glicko2: Glicko-2, the rating comes with a deviation (how sure we are of it) and a volatility
+//   (how erratic the contender is), so a contender with three matches moves faster than one with thousands
+// - elo: the original Elo update with chess-style K-factor bands, the deviation is left as it is
+
+const GLICKO2_SCALE = 173.7178;
+const GLICKO2_CENTER = 1500;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+/**
+ * Rates a contender with Glicko-2 after a match.
+ * @param {Object} player - { rating, deviation, volatility } before the match.
+ * @param {Array<Object>} results - One { rating, deviation, score } per opponent, with the opponent's rating before the match.
+ * @param {number} tau - How much the volatility can change (constrains volatility over time).
+ * @returns {Object} - The new { rating, deviation, volatility }.
+ */
+export const updateGlicko2 = (player, results, tau = constants.GLICKO2_TAU) => {
+  const mu = (player.rating - GLICKO2_CENTER) / GLICKO2_SCALE;
+  const phi = player.deviation / GLICKO2_SCALE;
+  const sigma = player.volatility;
+
+  if (results.length === 0) {
+    // no games: only the uncertainty grows
+    return { ...player, deviation: Math.sqrt(phi * phi + sigma * sigma) * GLICKO2_SCALE };
+  }
+
+  const opponents = results.map(({ rating, deviation, score }) => {
+    const gPhi = g(deviation / GLICKO2_SCALE);
+    const expected = 1 / (1 + Math.exp(-gPhi * (mu - (rating - GLICKO2_CENTER) / GLICKO2_SCALE)));
+    return { gPhi, expected, score };
+  });
+
+  // estimated variance of the rating based on the results, and the estimated improvement
+  const v = 1 / opponents.reduce((acc, o) => acc + o.gPhi * o.gPhi * o.expected * (1 - o.expected), 0);
+  const improvement = opponents.reduce((acc, o) => acc + o.gPhi * (o.score - o.expected), 0);
+  const delta = v * improvement;
+
+  // new volatility, by finding the root of f with the Illinois algorithm
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+  };
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) {
+      k += 1;
+    }
+    B = a - k * tau;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * GLICKO2_SCALE + GLICKO2_CENTER,
+    deviation: newPhi * GLICKO2_SCALE,
+    volatility: newSigma,
+  };
+};
+
+const getKFactor = (currentElo) => {
+  if (currentElo < 2100) {
+    return 32;  // use higher k-factor for less experienced players
+  } else if (currentElo >= 2100 && currentElo < 2400) {
+    return 24;  // medium k-factor for moderately experienced players
+  } else {
+    return 16;  // lower k-factor for highly experienced players
+  }
+};
+
+/**
+ * Rates a contender with Elo after a match.
+ * @param {Object} player - { rating, deviation, volatility } before the match.
+ * @param {Array<Object>} results - One { rating, score } per opponent, with the opponent's rating before the match.
+ * @returns {Object} - The new { rating, deviation, volatility } (only the rating changes).
+ */
+export const updateElo = (player, results) => {
+  const change = results.reduce((acc, { rating, score }) => {
+    const expectedScore = 1 / (1 + Math.pow(10, (rating - player.rating) / 400));
+    return acc + getKFactor(player.rating) * (score - expectedScore);
+  }, 0);
+  return { ...player, rating: Math.floor(player.rating + change) };
+};
+
+/**
+ * Rates a contender after a match with the given rating system.
+ * @param {string} system - 'glicko2' or 'elo'.
+ * @param {Object} player - { rating, deviation, volatility } before the match (deviation and volatility may be null).
+ * @param {Array<Object>} results - One { rating, deviation, score } per opponent.
+ * @returns {Object} - The new { rating, deviation, volatility }.
+ */
+export const updateRating = (system, player, results) => {
+  if (system === 'elo') {
+    return updateElo(player, results);
+  }
+  // contenders rated before Glicko-2 have no deviation or volatility yet
+  const withDefaults = (r) => ({
+    ...r,
+    deviation: r.deviation ?? constants.INITIAL_RATING_DEVIATION,
+    volatility: r.volatility ?? constants.INITIAL_RATING_VOLATILITY,
+  });
+  const updated = updateGlicko2(withDefaults(player), results.map(withDefaults));
+  // the leaderboard stores whole ratings
+  return { ...updated, rating: Math.round(updated.rating) };
+};
+
+/**
+ * Formats a rating for the leaderboard table.
+ * @param {number} rating - The rating.
+ * @param {number|null} deviation - Its deviation, if known.
+ * @returns {string} - E.g. "1532 ± 45".
+ */
+export const formatRating = (rating, deviation) => {
+  if (deviation === null || deviation === undefined) {
+    return `${rating}`;
+  }
+  return `${Math.round(rating)} ± ${Math.round(deviation)}`;
+};
@@ -0,0 +1,37 @@
+// When a model has recognized the word being drawn. Every classification of the current sketch is a frame;
+// a frame counts if the word is the model's top label with at least `minScore` (of the normalized scores)
+// and at least `minMargin` ahead of the runner-up. The word is recognized once a model has had
+// `minFrames` counting frames in a row and has held the word on top for `minHoldTime` ms.
+// A frame that doesn't count starts the streak over, so one noisy frame can't win a word.
+// The moment a streak recognizes the word is what decides which model got there first.
+
+/**
+ * Creates a recognition rule.
+ * @param {Object} rule - { minScore, minMargin, minFrames, minHoldTime }, see constants.RECOGNITION_RULE.
+ * @returns {Object} - { getFrame(scores, target, now), getRecognitionTime(frames), isRecognized(frames, now) }
+ */
+export const createRecognitionRule = ({ minScore = 0, minMargin = 0, minFrames = 1, minHoldTime = 0 }) => {
+  // when the streak recognizes the word (possibly in the future if it has to be held longer), null if it can't yet
+  const getRecognitionTime = (frames) => {
+    if (frames.length === 0 || frames.length < minFrames) return null;
+    return Math.max(frames[Math.max(minFrames, 1) - 1].time, frames[0].time + minHoldTime);
+  };
+
+  return {
+    // the frame ({ label, score, margin, time }) if the classification counts, null otherwise
+    getFrame: (scores, target, now) => {
+      const [top, runnerUp] = scores;
+      if (!top || top.label !== target) return null;
+      const margin = top.score - (runnerUp?.score ?? 0);
+      if (top.score < minScore || margin < minMargin) return null;
+      return { label: top.label, score: top.score, margin, time: now };
+    },
+
+    getRecognitionTime,
+
+    isRecognized: (frames, now) => {
+      const time = getRecognitionTime(frames);
+      return time !== null && time <= now;
+    },
+  };
+};
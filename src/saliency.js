@@ -0,0 +1,52 @@
+/**
+ * Splits a sketch into a grid of cells to occlude one at a time.
+ * @param {number} width - Width of the sketch.
+ * @param {number} height - Height of the sketch.
+ * @param {number} grid - Number of cells along each side.
+ * @returns {Array<Object>} - The cells ({ left, top, right, bottom }), row by row.
+ */
+export const getOcclusionCells = (width, height, grid) => {
+    const cells = [];
+    for (let row = 0; row < grid; ++row) {
+        for (let col = 0; col < grid; ++col) {
+            cells.push({
+                left: Math.floor((col * width) / grid),
+                top: Math.floor((row * height) / grid),
+                right: Math.floor(((col + 1) * width) / grid),
+                bottom: Math.floor(((row + 1) * height) / grid),
+            });
+        }
+    }
+    return cells;
+};
+
+/**
+ * Erases the strokes inside a cell of a sketch.
+ * @param {ImageData} imageData - The sketch from the canvas (RGBA).
+ * @param {Object} cell - The area to erase ({ left, top, right, bottom }).
+ * @returns {Object|null} - The occluded sketch ({ data, width, height }), or null if nothing is drawn in the cell.
+ */
+export const occludeSketch = (imageData, cell) => {
+    const { width, height } = imageData;
+    let data = null;
+    for (let y = cell.top; y < cell.bottom; ++y) {
+        for (let x = cell.left; x < cell.right; ++x) {
+            const alpha = (y * width + x) * 4 + 3;
+            if (imageData.data[alpha] === 0) continue;
+            if (data === null) {
+                data = new Uint8ClampedArray(imageData.data);
+            }
+            data[alpha] = 0; // strokes are opaque, the background is transparent
+        }
+    }
+    return data === null ? null : { data, width, height };
+};
+
+/**
+ * Turns the score of a label on the full sketch and on each occluded copy into a saliency map.
+ * @param {number} baseScore - Score of the label on the full sketch.
+ * @param {Array<number|null>} occludedScores - Score of the label with each cell erased (null for empty cells).
+ * @returns {number[]} - How much the score drops when each cell is erased (0 for empty cells).
+ */
+export const occlusionSaliency = (baseScore, occludedScores) =>
+    occludedScores.map((score) => (score === null ? 0 : baseScore - score));
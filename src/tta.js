@@ -0,0 +1,59 @@
+/**
+ * Applies a test-time augmentation transform to a sketch, using nearest-neighbour sampling.
+ * @param {ImageData} imageData - The sketch from the canvas (RGBA).
+ * @param {Object} transform - { flip, dx, dy, scale }, shifts are a fraction of the sketch size.
+ * @returns {Object} - The transformed sketch, with the same shape as ImageData ({ data, width, height }).
+ */
+export const transformSketch = (imageData, transform) => {
+    const { width, height } = imageData;
+    const { flip, dx, dy, scale } = transform;
+    if (!flip && dx === 0 && dy === 0 && scale === 1) {
+        return imageData;
+    }
+
+    const data = new Uint8ClampedArray(imageData.data.length);
+    const centerX = (width - 1) / 2;
+    const centerY = (height - 1) / 2;
+    const shiftX = dx * width;
+    const shiftY = dy * height;
+
+    for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
+            // find the source pixel that lands on (x, y)
+            let sourceX = Math.round((x - shiftX - centerX) / scale + centerX);
+            const sourceY = Math.round((y - shiftY - centerY) / scale + centerY);
+            if (flip) {
+                sourceX = width - 1 - sourceX;
+            }
+            if (sourceX < 0 || sourceY < 0 || sourceX >= width || sourceY >= height) {
+                continue; // leave it transparent
+            }
+            const source = (sourceY * width + sourceX) * 4;
+            const target = (y * width + x) * 4;
+            data[target] = imageData.data[source];
+            data[target + 1] = imageData.data[source + 1];
+            data[target + 2] = imageData.data[source + 2];
+            data[target + 3] = imageData.data[source + 3];
+        }
+    }
+
+    return { data, width, height };
+};
+
+/**
+ * Averages the label distributions of several classifications of the same sketch.
+ * @param {Array<Array<{label: string, score: number}>>} outputs - One distribution per transform.
+ * @returns {Array<{label: string, score: number}>} - The mean distribution, sorted by score.
+ */
+export const averageDistributions = (outputs) => {
+    const sums = new Map();
+    outputs.forEach((output) => {
+        output.forEach(({ label, score }) => {
+            sums.set(label, (sums.get(label) ?? 0) + score);
+        });
+    });
+
+    return [...sums.entries()]
+        .map(([label, sum]) => ({ label, score: sum / outputs.length }))
+        .sort((a, b) => b.score - a.score);
+};
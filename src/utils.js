@@ -25,9 +25,41 @@ export function throttle(func, delay) {
     };
 }
 
+/**
+ * Returns a copy of an object without the given key.
+ * @param {Object} object - The object to copy.
+ * @param {string} key - The key to leave out.
+ * @returns {Object} - The copy.
+ */
+export function omitKey(object, key) {
+    const copy = { ...object };
+    delete copy[key];
+    return copy;
+}
+
+/**
+ * Creates a random number generator that always produces the same numbers for the same seed.
+ * @param {string} seed - Any string, e.g. a date.
+ * @returns {Function} - Returns a number in [0, 1) on every call, like Math.random.
+ */
+export function createSeededRandom(seed) {
+    // hash the seed into 32 bits (FNV-1a), then run mulberry32 on it
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+    return function () {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 export function mobileTabletCheck() {
     // https://stackoverflow.com/questions/11381673/detecting-a-mobile-browser
     let check = false;
+    if (typeof navigator === "undefined") return check; // e.g. when running in node
     (function (a) {
         if (
             /(android|bb\d+|meego).+mobile|avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino|android|ipad|playbook|silk/i.test(
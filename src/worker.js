@@ -0,0 +1,221 @@
+import constants from "./constants";
+import { pipeline, env } from "@xenova/transformers";
+import { getPreprocessingSpec, preprocessSketch } from "./preprocessing";
+import { transformSketch, averageDistributions } from "./tta";
+import { getOcclusionCells, occludeSketch, occlusionSaliency } from "./saliency";
+import { createFileCache } from "./customModels";
+
+// how this worker's contender classifies (set together with the model)
+let classifierOptions = { tta: false };
+
+// resolve models from the bundled /models directory when running offline,
+// otherwise (or as a fallback, if allowed) from the hugging face hub
+if (constants.MODEL_SOURCE === "local") {
+    env.allowLocalModels = true;
+    env.localModelPath = constants.LOCAL_MODEL_PATH;
+    env.allowRemoteModels = constants.ALLOW_REMOTE_MODELS;
+    env.backends.onnx.wasm.wasmPaths = constants.LOCAL_WASM_PATH;
+} else {
+    env.allowLocalModels = false;
+}
+// env.useBrowserCache = false; 
+
+// define model factories
+// ensures only one model is created of each type
+class Singleton {
+    static task = null;
+    static model = null;
+    static quantized = null;
+    static instance = null;
+
+    constructor(tokenizer, model, quantized) {
+        this.tokenizer = tokenizer;
+        this.model = model;
+        this.quantized = quantized;
+    }
+
+    static async getInstance(progress_callback = null) {
+        if (this.instance === null) {
+            this.instance = pipeline(this.task, this.model, {
+                quantized: this.quantized,
+                progress_callback,
+            });
+        }
+
+        return this.instance;
+    }
+}
+
+self.addEventListener("message", async (event) => {
+    const message = event.data;
+
+    if (message.action === 'setModel') {
+        ImageClassificationPipelineSingleton.model = message.modelName;
+        const { files, ...options } = message.options ?? {};
+        classifierOptions = { ...classifierOptions, ...options };
+        if (files) {
+            // a model dropped in from disk: serve its files from memory and never go to the network
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+            env.useBrowserCache = false;
+            env.useCustomCache = true;
+            env.customCache = createFileCache(message.modelName, files);
+            // load whichever weights the folder has, the default ones if it has both
+            const hasWeights = Boolean(files['onnx/model.onnx']);
+            const hasQuantizedWeights = Boolean(files['onnx/model_quantized.onnx']);
+            ImageClassificationPipelineSingleton.quantized = hasWeights && hasQuantizedWeights
+                ? constants.DEFAULT_QUANTIZED
+                : hasQuantizedWeights;
+        }
+        return;
+    }
+
+    if (message.action === 'load') {
+        try {
+            await ImageClassificationPipelineSingleton.getInstance(reportProgress);
+        } catch (error) {
+            // forget the failed instance so the next load starts from scratch
+            ImageClassificationPipelineSingleton.instance = null;
+            self.postMessage({
+                status: "error",
+                action: "load",
+                data: error.message,
+            });
+            return;
+        }
+        self.postMessage({ status: "ready" });
+        return;
+    }
+
+    if (message.action === 'explain') {
+        await explain(message.image, message.label, message.request);
+        return;
+    }
+
+    // turn the sketch (and its augmented copies, with TTA) into the input this model was trained on
+    const preprocessStart = performance.now();
+    const spec = getPreprocessingSpec(ImageClassificationPipelineSingleton.model);
+    let img;
+    try {
+        img = classifierOptions.tta
+            ? await Promise.all(constants.TTA_TRANSFORMS.map((transform) => preprocessSketch(transformSketch(message.image, transform), spec)))
+            : await preprocessSketch(message.image, spec);
+    } catch (error) {
+        self.postMessage({
+            status: "error",
+            action: "classify",
+            task: "image-classification",
+            request: message.request,
+            data: error.message,
+        });
+        return;
+    }
+    const inferenceStart = performance.now();
+    // inference includes the pipeline's own resizing and normalization
+    let result = await classify(img, message.request);
+    const inferenceEnd = performance.now();
+    if (result === null) return;
+
+    // with TTA the pipeline returns one distribution per transform, the first one being the plain sketch
+    let plain = null;
+    if (classifierOptions.tta) {
+        plain = result[0];
+        result = averageDistributions(result);
+    }
+
+    // send the result back to the main thread
+    self.postMessage({
+        status: "result",
+        task: "image-classification",
+        request: message.request,
+        timing: {
+            preprocess: inferenceStart - preprocessStart,
+            inference: inferenceEnd - inferenceStart,
+        },
+        data: result,
+        plain,
+    });
+});
+
+// forward transformers.js download events (one per model file) to the main thread
+const reportProgress = (event) => {
+    if (!event.file) return;
+
+    self.postMessage({
+        status: "progress",
+        data: {
+            file: event.file,
+            loaded: event.loaded,
+            total: event.total,
+            done: event.status === "done",
+        },
+    });
+};
+
+class ImageClassificationPipelineSingleton extends Singleton {
+    static task = "image-classification";
+    // initially set model to null
+    static model = null;
+    static quantized = constants.DEFAULT_QUANTIZED;
+}
+
+const classify = async (image, request, action = "classify") => {
+    try {
+        let classifier = await ImageClassificationPipelineSingleton.getInstance();
+
+        // actually run classification
+        return await classifier(image, {
+            topk: 0, // return all classes
+        });
+    } catch (error) {
+        self.postMessage({
+            status: "error",
+            action,
+            task: "image-classification",
+            request,
+            data: error.message,
+        });
+        return null;
+    }
+};
+
+// occlusion saliency: erase each cell of the sketch in turn and measure how much the score of the label drops
+// (always without TTA, so the map explains the model itself)
+const explain = async (image, label, request) => {
+    const spec = getPreprocessingSpec(ImageClassificationPipelineSingleton.model);
+    const grid = constants.SALIENCY_GRID;
+    // cells with nothing drawn in them can't change the guess, so they aren't classified
+    const occluded = getOcclusionCells(image.width, image.height, grid).map((cell) => occludeSketch(image, cell));
+
+    let inputs;
+    try {
+        inputs = await Promise.all([image, ...occluded.filter(Boolean)].map((sketch) => preprocessSketch(sketch, spec)));
+    } catch (error) {
+        self.postMessage({
+            status: "error",
+            action: "explain",
+            task: "image-classification",
+            request,
+            data: error.message,
+        });
+        return;
+    }
+
+    const result = await classify(inputs, request, "explain");
+    if (result === null) return;
+
+    const scoreOf = (output) => output.find((x) => x.label === label)?.score ?? 0;
+    let next = 1;
+    const occludedScores = occluded.map((sketch) => (sketch === null ? null : scoreOf(result[next++])));
+
+    self.postMessage({
+        status: "explanation",
+        task: "image-classification",
+        request,
+        data: {
+            label,
+            grid,
+            values: occlusionSaliency(scoreOf(result[0]), occludedScores),
+        },
+    });
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+-- Every finished game is recorded in matches, ranked or not (see createMatchRecord in src/GameLogic.js).
+-- The arrays hold one entry per contender, in the order of models.
+create table if not exists public.matches (
+  id bigint generated by default as identity primary key,
+  models text[] not null,
+  correct_guesses integer[] not null,
+  avg_times double precision[] not null,
+  ranked boolean not null default true,
+  scheduling_mode text,
+  played_at timestamptz not null default now()
+);
+
+-- the game writes with the public API key
+alter table public.matches enable row level security;
+create policy "Anyone can record a match" on public.matches for insert to anon with check (true);
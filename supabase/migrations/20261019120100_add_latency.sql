@@ -0,0 +1,11 @@
+-- Inference latency of every contender (see src/latencyStats.js): the histogram is merged with every
+-- ranked game, p50 and p95 in ms are derived from it for the leaderboard.
+alter table public.leaderboard
+  add column if not exists latency_p50 double precision,
+  add column if not exists latency_p95 double precision,
+  add column if not exists latency_histogram jsonb;
+
+-- p50 and p95 of the game, one entry per contender
+alter table public.matches
+  add column if not exists latency_p50 double precision[],
+  add column if not exists latency_p95 double precision[];
@@ -0,0 +1,6 @@
+-- Calibration of every contender (see src/calibrationStats.js): the histogram holds
+-- [count, correct, summed confidence] per confidence bin and is merged with every ranked game,
+-- the expected calibration error shown on the leaderboard is derived from it.
+alter table public.leaderboard
+  add column if not exists calibration_ece double precision,
+  add column if not exists calibration_histogram jsonb;
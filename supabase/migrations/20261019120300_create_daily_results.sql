@@ -0,0 +1,20 @@
+-- Scores of the daily challenge, everyone drawing the same words with the same models on a given (UTC) day.
+create table if not exists public.daily_results (
+  id bigint generated by default as identity primary key,
+  challenge_date date not null,
+  player text not null,
+  score integer not null,
+  words integer not null,
+  models text[] not null,
+  played_at timestamptz not null default now()
+);
+
+create index if not exists daily_results_challenge_date_idx on public.daily_results (challenge_date, score desc);
+
+alter table public.daily_results enable row level security;
+create policy "Anyone can submit a daily result" on public.daily_results for insert to anon with check (true);
+create policy "Anyone can read the daily results" on public.daily_results for select to anon using (true);
+
+-- the date of the daily challenge a match was played for, null for other matches
+alter table public.matches
+  add column if not exists daily_challenge date;
@@ -0,0 +1,5 @@
+-- The game mode a match was played in (one of GAME_MODES in src/constants.js) and how long it took, in seconds.
+alter table public.matches
+  add column if not exists game_mode text,
+  add column if not exists game_mode_settings jsonb,
+  add column if not exists elapsed_time double precision;
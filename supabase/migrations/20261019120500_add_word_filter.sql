@@ -0,0 +1,4 @@
+-- The categories and difficulties the words of a match were drawn from ({ categories, difficulties }),
+-- null for the daily challenge.
+alter table public.matches
+  add column if not exists word_filter jsonb;
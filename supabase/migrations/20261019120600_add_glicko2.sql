@@ -0,0 +1,9 @@
+-- Glicko-2 ratings (see src/ratings.js): the rating stays in elo, next to how sure we are of it and how
+-- erratic the contender is. Both are null for contenders that have only been rated with Elo.
+alter table public.leaderboard
+  add column if not exists rating_deviation double precision,
+  add column if not exists rating_volatility double precision;
+
+-- 'glicko2' or 'elo'
+alter table public.matches
+  add column if not exists rating_system text;
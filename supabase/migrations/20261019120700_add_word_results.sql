@@ -0,0 +1,3 @@
+-- How every word of a match went: [{ target, outcome, guessed_by, time, ... }], see createMatchRecord.
+alter table public.matches
+  add column if not exists word_results jsonb;
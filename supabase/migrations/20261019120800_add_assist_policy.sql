@@ -0,0 +1,7 @@
+-- The assist policy a match was played with (one of ASSIST_POLICIES in src/constants.js) and, per contender,
+-- how many of its classifications had their top label changed by it, out of how many.
+alter table public.matches
+  add column if not exists assist_policy text,
+  add column if not exists assist_policy_settings jsonb,
+  add column if not exists assist_changes integer[],
+  add column if not exists classifications integer[];
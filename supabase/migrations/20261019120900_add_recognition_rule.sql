@@ -0,0 +1,4 @@
+-- The rule that decided when a model recognized a word (RECOGNITION_RULE in src/constants.js),
+-- the evidence of every word is stored with the word results.
+alter table public.matches
+  add column if not exists recognition_rule jsonb;
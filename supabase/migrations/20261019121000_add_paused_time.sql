@@ -0,0 +1,3 @@
+-- Seconds a match was paused for, left out of elapsed_time.
+alter table public.matches
+  add column if not exists paused_time double precision not null default 0;